@@ -0,0 +1,52 @@
+/*
+One-off migration for transactions marked paid before payments were recorded. `is_paid` is now derived from the
+payments, so each of those gets a single payment for its total, without a method since we never knew it.
+
+Tax wasn't charged before the pricing engine, so each one is priced at a tax rate of 0 and keeps that breakdown, the
+way new transactions keep the rates they were first priced at. Run it after snapshot-line-prices.js, so the lines
+have their prices. A transaction whose lines don't add up to what was charged is listed, to be checked by hand.
+
+    $> node scripts/backfill-payments.js
+ */
+var mongoose = require('mongoose');
+var config = require('../src/config')();
+var pricing = require('../src/pricing');
+
+mongoose.connect(config.db_uri);
+
+var transactions = mongoose.connection.collection('transactions');
+
+transactions.find({is_paid: true, 'payments.0': {$exists: false}}).toArray(function (err, docs) {
+  if (err) throw err;
+  var pending = docs.length;
+  if (!pending) return mongoose.disconnect();
+  docs.forEach(function (doc) {
+    var breakdown = pricing.priceTransaction({
+      items: doc.items,
+      repairs: doc.repairs,
+      discount: doc.discount,
+      price_breakdown: {tax_rate: 0}
+    });
+    var payment = {
+      _id: new mongoose.Types.ObjectId(),
+      amount: doc.total_cost || 0,
+      date: doc.date_completed || doc.date_created,
+      note: 'Recorded before payment tracking'
+    };
+    if (breakdown.total !== payment.amount) {
+      console.log(`Transaction ${doc._id}: the lines add up to ${breakdown.total}, but ${payment.amount} was charged`);
+    }
+    var update = Object.assign({
+      payments: [payment],
+      price_breakdown: breakdown,
+      total_cost: breakdown.total
+    }, pricing.summarizePayments([payment], breakdown.total));
+    transactions.updateOne({_id: doc._id}, {$set: update}, function (err) {
+      if (err) throw err;
+      if (--pending === 0) {
+        console.log(`Backfilled ${docs.length} transactions`);
+        mongoose.disconnect();
+      }
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/*
+One-off migration which gives transactions from before the workflow a status, worked out from their old flags.
+
+    $> node scripts/backfill-status.js
+ */
+var mongoose = require('mongoose');
+var config = require('../src/config')();
+
+mongoose.connect(config.db_uri);
+
+var transactions = mongoose.connection.collection('transactions');
+
+var steps = [
+  [{complete: true, is_paid: true}, 'picked_up'],
+  [{complete: true}, 'ready'],
+  [{waiting_part: true}, 'waiting_part'],
+  [{}, 'in_progress']
+];
+
+var next = function (i) {
+  if (i === steps.length) return mongoose.disconnect();
+  var query = Object.assign({status: {$exists: false}}, steps[i][0]);
+  transactions.updateMany(query, {$set: {status: steps[i][1]}}, function (err, result) {
+    if (err) throw err;
+    console.log(`${result.modifiedCount} transactions set to ${steps[i][1]}`);
+    next(i + 1);
+  });
+};
+
+next(0);
@@ -0,0 +1,59 @@
+/*
+One-off migration which converts transactions from the old line format, where `items` was a list of bare item IDs and
+repairs only held a reference, to lines which carry the name and price they were sold at. The current catalog price is
+the best we have for old transactions, so that's what gets snapshotted.
+
+    $> node scripts/snapshot-line-prices.js
+ */
+var mongoose = require('mongoose');
+var config = require('../src/config')();
+var Item = require('../src/models/Item');
+var Repair = require('../src/models/Repair');
+
+mongoose.connect(config.db_uri);
+
+var transactions = mongoose.connection.collection('transactions');
+
+var catalog = function (Model, cb) {
+  Model.find({}, {name: 1, price: 1}, function (err, docs) {
+    if (err) return cb(err);
+    var byId = {};
+    docs.forEach(function (doc) {
+      byId[doc._id] = doc;
+    });
+    cb(null, byId);
+  });
+};
+
+var snapshot = function (entry) {
+  return {name: entry ? entry.name : undefined, price: entry ? entry.price : 0};
+};
+
+catalog(Item, function (err, items) {
+  if (err) throw err;
+  catalog(Repair, function (err, repairs) {
+    if (err) throw err;
+    transactions.find({}).toArray(function (err, docs) {
+      if (err) throw err;
+      var pending = docs.length;
+      if (!pending) return mongoose.disconnect();
+      docs.forEach(function (doc) {
+        var newItems = (doc.items || []).map(function (line) {
+          if (line && line.item) return line;
+          return Object.assign({_id: new mongoose.Types.ObjectId(), item: line}, snapshot(items[line]));
+        });
+        var newRepairs = (doc.repairs || []).map(function (line) {
+          if (line.price !== undefined) return line;
+          return Object.assign({}, line, snapshot(repairs[line.repair]));
+        });
+        transactions.updateOne({_id: doc._id}, {$set: {items: newItems, repairs: newRepairs}}, function (err) {
+          if (err) throw err;
+          if (--pending === 0) {
+            console.log(`Migrated ${docs.length} transactions`);
+            mongoose.disconnect();
+          }
+        });
+      });
+    });
+  });
+});
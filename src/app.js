@@ -5,6 +5,8 @@ var mailer = require('express-mailer');
 
 var config = require('./config')();
 var db = require('./db');
+var requestId = require('./middleware/RequestIdMiddleware');
+var errorMiddleware = require('./middleware/ErrorMiddleware');
 
 var AuthController = require('./controllers/AuthController');
 var UserController = require('./controllers/UserController');
@@ -12,6 +14,12 @@ var TransactionController = require('./controllers/TransactionController');
 var RepairController = require('./controllers/RepairController');
 var ItemController = require('./controllers/ItemController');
 var CustomerController = require('./controllers/CustomerController');
+var DrawerController = require('./controllers/DrawerController');
+var BikeController = require('./controllers/BikeController');
+var AuditController = require('./controllers/AuditController');
+var ReportController = require('./controllers/ReportController');
+var EmailController = require('./controllers/EmailController');
+var DevCasController = require('./controllers/DevCasController');
 
 /* Create app */
 var app = express();
@@ -19,24 +27,31 @@ var app = express();
 /* Add plugin to enable CORS */
 app.use(cors());
 
-/* Add plugin to enable HTTP logging */
-app.use(morgan('combined'));
+/* Tag every request with an ID, to match log lines to responses */
+app.use(requestId);
+
+/* Add plugin to enable HTTP logging, except in the tests - the combined format, prefixed with the request ID */
+morgan.token('id', function (req) {
+  return req.id;
+});
+if (config.profile !== 'test') app.use(morgan('[:id] ' + morgan.combined));
 
 app.set('views', __dirname + '/controllers');
 
 /* Set the template rendering engine to Pug - used for email rendering */
 app.set('view engine', 'pug');
 
-/* Set up plugin to enable emailing */
+/* Set up plugin to enable emailing - emails are queued and sent by the worker in outbox.js */
 mailer.extend(app, {
-  from: config.email.user,
+  from: config.email.from,
   host: config.email.host,
   port: config.email.port,
   transportMethod: 'SMTP',
-  auth: {
+  // local SMTP sinks don't take credentials
+  auth: config.email.user ? {
     user: config.email.user,
     pass: config.email.pass
-  }
+  } : undefined
 });
 
 /* Register routes */
@@ -46,5 +61,20 @@ app.use('/api/transactions', TransactionController);
 app.use('/api/items', ItemController);
 app.use('/api/repairs', RepairController);
 app.use('/api/customers', CustomerController);
+app.use('/api/drawers', DrawerController);
+app.use('/api/bikes', BikeController);
+app.use('/api/audit', AuditController);
+app.use('/api/reports', ReportController);
+app.use('/api/emails', EmailController);
+
+/* Fake CAS server for offline development - see DevCasController */
+if (config.devAuth.enabled) {
+  if (config.profile === 'prod') throw new Error('Dev auth cannot be enabled in prod');
+  app.use('/dev/cas', DevCasController);
+}
+
+/* Everything else is a 404, and every error is sent as JSON - see errors.js */
+app.use(errorMiddleware.notFound);
+app.use(errorMiddleware.errorHandler);
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,118 @@
+var csv = require('./csv');
+var validation = require('./validation');
+
+/*
+CSV import and export for the item and repair catalogs.
+
+A catalog spec describes one catalog:
+  - Model: the mongoose model
+  - columns: columns written on export, and read on import
+  - schema: rules every imported row is checked against (see validation.js), the same ones the create route uses
+  - key: function (row) giving the field and value an imported row is matched on, like {sku: 'TUBE-700'}
+  - apply: function (doc, row, user) copying an imported row onto a new or existing document
+  - afterSave: optional function (doc, row, user, cb) for changes which can't be made by saving the document, like
+    atomic stock adjustments; called back with (err)
+ */
+
+/**
+ * Exports a catalog as CSV text.
+ * @param spec - catalog spec
+ * @param cb - called with (err, text)
+ */
+var exportCatalog = function (spec, cb) {
+  spec.Model.find({}).sort({name: 1}).lean().exec(function (err, docs) {
+    if (err) return cb(err);
+    cb(null, csv.stringify(docs, spec.columns));
+  });
+};
+
+/**
+ * Checks a parsed row against the catalog's schema. Blank cells count as missing, and columns the catalog doesn't
+ * have are ignored.
+ * @returns {object} {errors} listing what's wrong with the row, or {value} holding its cleaned-up columns
+ */
+var validateRow = function (spec, row) {
+  var fields = {};
+  Object.keys(spec.schema).forEach(function (column) {
+    if (row[column] !== undefined && row[column] !== '') fields[column] = row[column];
+  });
+  return validation.check(spec.schema, fields);
+};
+
+var escapeRegExp = function (str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Imports CSV text into a catalog, creating entries which don't exist yet and updating the ones that do.
+ * @param spec - catalog spec
+ * @param text - CSV text with a header row
+ * @param options - {dry_run: report what would happen without writing anything, user: who is importing, changed:
+ *   optional function (doc, before, cb) called after each entry is written, with the entry as it was before (null
+ *   if it was created), for the audit log}
+ * @param cb - called with (err, result), where result lists the rows created, updated and rejected
+ */
+var importCatalog = function (spec, text, options, cb) {
+  var rows = csv.parse(text || '');
+  var result = {dry_run: !!options.dry_run, created: [], updated: [], rejected: []};
+  var seen = {};
+
+  var next = function (i) {
+    if (i === rows.length) return cb(null, result);
+    var line = rows[i]._line;
+    var checked = validateRow(spec, rows[i]);
+    var errors = checked.errors || [];
+    var row = checked.value;
+
+    var key = errors.length ? null : spec.key(row);
+    var field = key && Object.keys(key)[0];
+    var seenKey = key && field + ':' + String(key[field]).toLowerCase();
+    if (seenKey && seen[seenKey]) errors.push(`Same ${field} as line ${seen[seenKey]}.`);
+
+    if (errors.length) {
+      result.rejected.push({line: line, name: rows[i].name, errors: errors});
+      return next(i + 1);
+    }
+    seen[seenKey] = line;
+
+    var query = {};
+    query[field] = new RegExp('^' + escapeRegExp(String(key[field])) + '$', 'i');
+    spec.Model.findOne(query, function (err, doc) {
+      if (err) return cb(err);
+      var outcome = doc ? result.updated : result.created;
+      var before = doc ? doc.toObject() : null;
+      doc = doc || new spec.Model();
+      spec.apply(doc, row, options.user);
+      var entry = {line: line, name: doc.name, _id: doc._id};
+      if (options.dry_run) {
+        outcome.push(entry);
+        return next(i + 1);
+      }
+      doc.save(function (err) {
+        if (err) {
+          result.rejected.push({line: line, name: row.name, errors: [err.message]});
+          return next(i + 1);
+        }
+        outcome.push(entry);
+        var afterSave = spec.afterSave || function (doc, row, user, cb) {
+          cb();
+        };
+        afterSave(doc, row, options.user, function (err) {
+          if (err) return cb(err);
+          if (!options.changed) return next(i + 1);
+          options.changed(doc, before, function (err) {
+            if (err) return cb(err);
+            next(i + 1);
+          });
+        });
+      });
+    });
+  };
+
+  next(0);
+};
+
+module.exports = {
+  exportCatalog: exportCatalog,
+  importCatalog: importCatalog
+};
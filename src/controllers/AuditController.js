@@ -0,0 +1,40 @@
+var express = require('express');
+var router = express.Router();
+var bodyParser = require('body-parser');
+var AuditLog = require('../models/AuditLog');
+var authMiddleware = require('../middleware/AuthMiddleware');
+var requirePermission = require('../middleware/PermissionMiddleware');
+var errors = require('../errors');
+
+router.use(bodyParser.json());
+router.use(authMiddleware);
+router.use(requirePermission('view_audit_log'));
+
+/*
+Gets audit log entries, newest first - "GET /audit"
+
+Filters: `entity` (model name, like Transaction), `entity_id`, `user`, and a date range with `from` and `to`. At most
+`limit` entries are returned, 100 by default.
+ */
+router.get('/', function (req, res, next) {
+  var query = {};
+  ['entity', 'entity_id', 'user'].forEach(function (field) {
+    if (req.query[field]) query[field] = String(req.query[field]);
+  });
+  var bounds = {from: '$gte', to: '$lte'};
+  for (var bound in bounds) {
+    if (!req.query[bound]) continue;
+    var date = new Date(req.query[bound]);
+    if (isNaN(date)) return next(errors.badRequest(`Invalid date for ${bound}.`));
+    query.date = query.date || {};
+    query.date[bounds[bound]] = date;
+  }
+  var limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  AuditLog.find(query).sort({date: -1}).limit(limit).exec(function (err, entries) {
+    if (err) return next(err);
+    res.status(200).send(entries);
+  });
+});
+
+module.exports = router;
@@ -7,17 +7,31 @@ var xmlParser = require('xml2js').parseString;
 var stripPrefix = require('xml2js').processors.stripPrefix;
 
 var config = require('../config')();
+var permissions = require('../permissions');
+var errors = require('../errors');
 
 var User = require('../models/User');
+var Session = require('../models/Session');
+var authMiddleware = require('../middleware/AuthMiddleware');
+var validate = require('../middleware/ValidationMiddleware');
 
 router.use(bodyParser.json());
 
+/**
+ * Signs a short-lived access token for a session.
+ * @param session - the session the token belongs to
+ * @returns {string}
+ */
+var signAccessToken = function (session) {
+  return jwt.sign({data: session.cas_data, sid: session._id}, config.secret, {expiresIn: config.access_token_ttl});
+};
+
 /**
  * After the browser is redirected by the IDP, the frontend takes the ticket off the URL and sends a GET
  * request to the backend, here, with the ticket as a query parameter. Here, we validate the ticket against
  * the CAS server and then parse the response to see if we succeeded, and let the frontend know.
  */
-router.get('/', function (req, res) {
+router.get('/', function (req, res, next) {
 
   var ticket = req.query.ticket;
 
@@ -26,52 +40,104 @@ router.get('/', function (req, res) {
     var url = `${config.CASValidateURL}?ticket=${ticket}&service=${config.CASthisServiceURL}`;
     request(url, function (err, response, body) {
 
-      if (err) return res.status(500).send();
+      if (err) return next(err);
 
       // parse the XML.
       // notice the second argument - it's an object of options for the parser, one to strip the namespace
       // prefix off of tags and another to prevent the parser from creating 1-element arrays.
       xmlParser(body, {tagNameProcessors: [stripPrefix], explicitArray: false}, function (err, result) {
-        if (err) return res.status(500).send();
+        if (err) return next(err);
 
-        serviceResponse = result.serviceResponse;
+        var serviceResponse = result.serviceResponse;
 
         var authSucceeded = serviceResponse.authenticationSuccess;
         if (authSucceeded) {
-          // here, we create a token with the user's info as its payload.
-          // authSucceded contains: { user: <username>, attributes: <attributes>}
-          var token = jwt.sign({data: authSucceeded}, config.secret);
-
           // see if this netID is in the list of users.
           User.findOne({username: authSucceeded.user}, function (err, user) {
-            if (err) return res.status(500).send();
-            if (!user) {
-              return res.status(401).json({success: false, message: "Your net ID is not listed as a mechanic"})
+            if (err) return next(err);
+            if (!user || user.active === false) {
+              return next(errors.unauthorized("Your net ID is not listed as a mechanic"));
             }
 
-            // send our token to the frontend! now, whenever the user tries to access a resource, we check their
-            // token by verifying it and seeing if the payload (the username) allows this user to access
-            // the requested resource.
-            return res.json({
-              success: true,
-              message: 'CAS authentication success',
-              user: {
-                username: user.username,
-                admin: user.admin,
-                token: token
-              }
+            // here, we start a session and create a short-lived token with the user's info as its payload.
+            // authSucceded contains: { user: <username>, attributes: <attributes>}
+            Session.start(authSucceeded, function (err, session, refreshToken) {
+              if (err) return next(err);
+
+              // send our tokens to the frontend! now, whenever the user tries to access a resource, we check their
+              // token by verifying it and seeing if the payload (the username) allows this user to access
+              // the requested resource. when the token expires, the refresh token gets a new one.
+              return res.json({
+                success: true,
+                message: 'CAS authentication success',
+                user: {
+                  username: user.username,
+                  admin: user.getRole() === 'admin',
+                  role: user.getRole(),
+                  permissions: permissions.MATRIX[user.getRole()],
+                  token: signAccessToken(session),
+                  refresh_token: refreshToken,
+                  expires_in: config.access_token_ttl
+                }
+              });
             });
           });
         } else if (serviceResponse.authenticationFailure) {
-          return res.status(401).json({success: false, message: 'CAS authentication failed'});
+          return next(errors.unauthorized('CAS authentication failed'));
         } else {
-          return res.status(500).send();
+          return next(errors.badGateway("CAS sent a response we couldn't understand."));
         }
       })
     })
   } else {
-    return res.status(400).send();
+    return next(errors.badRequest('A CAS ticket is required.'));
   }
 });
 
+/*
+Swaps a refresh token for a new access token - "POST /auth/refresh"
+
+The body has the `refresh_token`. Refresh tokens can only be used once: a new one is sent back with the access token.
+ */
+router.post('/refresh', validate.body({refresh_token: {type: 'string'}}), function (req, res, next) {
+  Session.findByRefreshToken(req.body.refresh_token, function (err, session) {
+    if (err) return next(err);
+    if (!session) return next(errors.unauthorized('Session has ended'));
+
+    User.findOne({username: session.username}, function (err, user) {
+      if (err) return next(err);
+      if (!user || user.active === false) {
+        session.revoked = true;
+        session.date_revoked = Date.now();
+        return session.save(function () {
+          next(errors.unauthorized('User is no longer active'));
+        });
+      }
+
+      var refreshToken = session.rotate();
+      session.save(function (err, session) {
+        if (err) return next(err);
+        res.json({
+          success: true,
+          token: signAccessToken(session),
+          refresh_token: refreshToken,
+          expires_in: config.access_token_ttl
+        });
+      });
+    });
+  });
+});
+
+/*
+Logs out, ending the session the token belongs to - "POST /auth/logout"
+ */
+router.post('/logout', authMiddleware, function (req, res, next) {
+  req.authSession.revoked = true;
+  req.authSession.date_revoked = Date.now();
+  req.authSession.save(function (err) {
+    if (err) return next(err);
+    res.json({success: true, message: 'Logged out'});
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,129 @@
+var express = require('express');
+var router = express.Router();
+var bodyParser = require('body-parser');
+var _ = require('underscore');
+var Bike = require('../models/Bike');
+var Transaction = require('../models/Transaction');
+var authMiddleware = require('../middleware/AuthMiddleware');
+var validate = require('../middleware/ValidationMiddleware');
+var errors = require('../errors');
+
+var SCHEMA = {
+  make: {type: 'string', max: 100},
+  model: {type: 'string', max: 100},
+  description: {type: 'string', max: 2000},
+  serial_number: {type: 'string', max: 100},
+  color: {type: 'string', max: 50},
+  type: {type: 'string', max: 50},
+  customer: {type: 'ref', nullable: true}
+};
+
+router.param('id', validate.objectIdParam);
+router.use(bodyParser.json());
+router.use(authMiddleware);
+
+/*
+Gets all bikes - "GET /bikes"
+
+"GET /bikes?customer=<id>" only gets the bikes owned by that customer.
+ */
+router.get('/', function (req, res, next) {
+  var query = req.query.customer ? {customer: req.query.customer} : {};
+  Bike.find(query).populate('customer').exec(function (err, bikes) {
+    if (err) return next(err);
+    res.status(200).send(bikes);
+  });
+});
+
+/*
+Looks up a bike by its serial number - "GET /bikes/serial/:serial"
+ */
+router.get('/serial/:serial', function (req, res, next) {
+  Bike.findBySerial(req.params.serial, function (err, bike) {
+    if (err) return next(err);
+    if (!bike) return next(errors.notFound("No bike found."));
+    res.status(200).send(bike);
+  });
+});
+
+/*
+Registers a bike - "POST /bikes"
+
+A bike whose serial number is already registered isn't created again; the existing bike is sent back with a 409.
+ */
+router.post('/', validate.body(SCHEMA), function (req, res, next) {
+  Bike.findBySerial(req.body.serial_number, function (err, existing) {
+    if (err) return next(err);
+    if (existing) {
+      return next(errors.conflict('A bike with this serial number already exists.', {bike: existing}));
+    }
+    Bike.create(req.body, function (err, bike) {
+      if (err) return next(err);
+      res.status(200).send(bike);
+    });
+  });
+});
+
+/*
+Gets a single bike - "GET /bikes/:id"
+ */
+router.get('/:id', function (req, res, next) {
+  Bike.findById(req.params.id).populate('customer').exec(function (err, bike) {
+    if (err) return next(err);
+    if (!bike) return next(errors.notFound("No bike found."));
+    res.status(200).send(bike);
+  });
+});
+
+/*
+Updates a bike - "PUT /bikes/:id"
+ */
+router.put('/:id', validate.body(SCHEMA, {unknown: 'strip'}), function (req, res, next) {
+  Bike.findById(req.params.id, function (err, bike) {
+    if (err) return next(err);
+    if (!bike) return next(errors.notFound("No bike found."));
+    Bike.findBySerial(req.body.serial_number, function (err, existing) {
+      if (err) return next(err);
+      if (existing && !existing._id.equals(bike._id)) {
+        return next(errors.conflict('A bike with this serial number already exists.', {bike: existing}));
+      }
+      _.extend(bike, req.body);
+      bike.save(function (err, bike) {
+        if (err) return next(err);
+        res.status(200).send(bike);
+      });
+    });
+  });
+});
+
+/*
+Gets the service history of a bike - "GET /bikes/:id/history"
+
+Responds with the bike, every transaction it has been on (newest first), and every repair done on it across those
+transactions.
+ */
+router.get('/:id/history', function (req, res, next) {
+  Bike.findById(req.params.id).populate('customer').exec(function (err, bike) {
+    if (err) return next(err);
+    if (!bike) return next(errors.notFound("No bike found."));
+    var query = {bikes: bike._id, voided: {$ne: true}};
+    Transaction.find(query).sort({date_created: -1}).exec(function (err, transactions) {
+      if (err) return next(err);
+      var repairs = [];
+      transactions.forEach(function (transaction) {
+        transaction.repairs.forEach(function (rep) {
+          repairs.push({
+            transaction: transaction._id,
+            date: transaction.date_completed || transaction.date_created,
+            name: rep.name,
+            price: rep.price,
+            completed: rep.completed
+          });
+        });
+      });
+      res.status(200).send({bike: bike, transactions: transactions, repairs: repairs});
+    });
+  });
+});
+
+module.exports = router;
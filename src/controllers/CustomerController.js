@@ -1,15 +1,176 @@
 var express = require('express');
 var router = express.Router();
 var bodyParser = require('body-parser');
+var _ = require('underscore');
+var Bike = require('../models/Bike');
 var Customer = require('../models/Customer');
+var Transaction = require('../models/Transaction');
+var authMiddleware = require('../middleware/AuthMiddleware');
+var audit = require('../middleware/AuditMiddleware');
+var requirePermission = require('../middleware/PermissionMiddleware');
+var validate = require('../middleware/ValidationMiddleware');
+var errors = require('../errors');
 
+var SCHEMA = {
+  first_name: {type: 'string', max: 100},
+  last_name: {type: 'string', max: 100},
+  email: {type: 'email', nullable: true},
+  phone: {type: 'string', max: 40},
+  notes: {type: 'string', max: 2000}
+};
+var FIELDS = Object.keys(SCHEMA);
+
+router.param('id', validate.objectIdParam);
 router.use(bodyParser.json());
+router.use(authMiddleware);
+router.use(audit(Customer));
 
-router.get('/search', function (req, res) {
+/*
+Searches customers by name, email, phone and notes - "GET /customers/search?q="
+ */
+router.get('/search', function (req, res, next) {
   Customer.find({$text: {$search: req.query.q}}, function (err, customers) {
-    if (err) return res.status(500);
+    if (err) return next(err);
+    res.status(200).send(customers);
+  });
+});
+
+/*
+Gets all customers - "GET /customers"
+ */
+router.get('/', function (req, res, next) {
+  Customer.find({}).sort({last_name: 1, first_name: 1}).exec(function (err, customers) {
+    if (err) return next(err);
     res.status(200).send(customers);
   });
 });
 
-module.exports = router;
\ No newline at end of file
+/*
+Creates a customer - "POST /customers"
+
+If a customer with the same email already exists, nothing is created and the existing customer is sent back with a 409,
+so the frontend can offer to use them instead.
+ */
+router.post('/', validate.body(SCHEMA), function (req, res, next) {
+  Customer.findByEmail(req.body.email, function (err, existing) {
+    if (err) return next(err);
+    if (existing) {
+      return next(errors.conflict('A customer with this email already exists.', {customer: existing}));
+    }
+    Customer.create(req.body, function (err, customer) {
+      if (err) return next(err);
+      res.status(200).send(customer);
+    });
+  });
+});
+
+/*
+Gets a single customer - "GET /customers/:id"
+ */
+router.get('/:id', function (req, res, next) {
+  Customer.findById(req.params.id, function (err, customer) {
+    if (err) return next(err);
+    if (!customer) return next(errors.notFound("No customer found."));
+    res.status(200).send(customer);
+  });
+});
+
+/*
+Updates a customer - "PUT /customers/:id"
+ */
+router.put('/:id', validate.body(SCHEMA, {unknown: 'strip'}), function (req, res, next) {
+  Customer.findById(req.params.id, function (err, customer) {
+    if (err) return next(err);
+    if (!customer) return next(errors.notFound("No customer found."));
+    Customer.findByEmail(req.body.email, function (err, existing) {
+      if (err) return next(err);
+      if (existing && !existing._id.equals(customer._id)) {
+        return next(errors.conflict('A customer with this email already exists.', {customer: existing}));
+      }
+      _.extend(customer, req.body);
+      customer.save(function (err, customer) {
+        if (err) return next(err);
+        res.status(200).send(customer);
+      });
+    });
+  });
+});
+
+/*
+Deletes a customer - "DELETE /customers/:id"
+
+Customers with transactions can't be deleted, since the transactions still reference them; merge them instead. Their
+bikes are kept, without an owner.
+ */
+router.delete('/:id', requirePermission('delete_customers'), function (req, res, next) {
+  Customer.findById(req.params.id, function (err, customer) {
+    if (err) return next(err);
+    if (!customer) return next(errors.notFound("No customer found."));
+    Transaction.count({customer: customer._id}, function (err, count) {
+      if (err) return next(err);
+      if (count) return next(errors.conflict("Can't delete a customer with transactions."));
+      Bike.update({customer: customer._id}, {$unset: {customer: 1}}, {multi: true}, function (err) {
+        if (err) return next(err);
+        customer.remove(function (err) {
+          if (err) return next(err);
+          res.status(200).end();
+        });
+      });
+    });
+  });
+});
+
+/*
+Gets every transaction of a customer, newest first - "GET /customers/:id/transactions"
+ */
+router.get('/:id/transactions', function (req, res, next) {
+  var query = {customer: req.params.id, voided: {$ne: true}};
+  Transaction.find(query).sort({date_created: -1}).exec(function (err, transactions) {
+    if (err) return next(err);
+    res.status(200).send(transactions);
+  });
+});
+
+
+/*
+Merges a duplicate customer into this one - "POST /customers/:id/merge"
+
+The body has the `duplicate_id`. All of the duplicate's transactions and bikes are moved to the surviving customer,
+any details the survivor is missing are copied over, and the duplicate is removed.
+ */
+router.post('/:id/merge', requirePermission('merge_customers'), validate.body({
+  duplicate_id: {type: 'objectId', required: true}
+}), function (req, res, next) {
+  if (req.body.duplicate_id == req.params.id) return next(errors.badRequest("Can't merge a customer into itself."));
+  Customer.findById(req.params.id, function (err, survivor) {
+    if (err) return next(err);
+    if (!survivor) return next(errors.notFound("No customer found."));
+    Customer.findById(req.body.duplicate_id, function (err, duplicate) {
+      if (err) return next(err);
+      if (!duplicate) return next(errors.notFound("No duplicate customer found."));
+
+      Transaction.update({customer: duplicate._id}, {customer: survivor._id}, {multi: true}, function (err) {
+        if (err) return next(err);
+        Bike.update({customer: duplicate._id}, {customer: survivor._id}, {multi: true}, function (err) {
+          if (err) return next(err);
+
+          FIELDS.forEach(function (field) {
+            if (!survivor[field] && duplicate[field]) survivor[field] = duplicate[field];
+          });
+          if (survivor.notes && duplicate.notes && survivor.notes !== duplicate.notes) {
+            survivor.notes = survivor.notes + '\n' + duplicate.notes;
+          }
+          survivor.save(function (err, survivor) {
+            if (err) return next(err);
+            duplicate.remove(function (err) {
+              if (err) return next(err);
+              res.status(200).send(survivor);
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+module.exports = router;
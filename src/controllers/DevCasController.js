@@ -0,0 +1,90 @@
+var express = require('express');
+var router = express.Router();
+var crypto = require('crypto');
+
+var config = require('../config')();
+
+/*
+A fake CAS server for developing and testing without access to the Rice IDP. It's only mounted when dev auth is
+enabled in the config, which the prod config never does.
+
+Point the frontend's CAS login at "/dev/cas/login" instead of the IDP. Logging in as one of the configured netIDs
+redirects back to the service with a ticket, just like the real thing, and AuthController validates that ticket against
+"/dev/cas/serviceValidate" through its usual request and XML parsing.
+ */
+
+// tickets issued by the login page, waiting to be validated: ticket -> {netid, service}
+var tickets = {};
+
+var escapeXml = function (str) {
+  return String(str).replace(/[<>&'"]/g, function (c) {
+    return {'<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'}[c];
+  });
+};
+
+var success = function (netid) {
+  return '<cas:serviceResponse xmlns:cas="http://www.yale.edu/tp/cas">\n' +
+    '  <cas:authenticationSuccess>\n' +
+    `    <cas:user>${escapeXml(netid)}</cas:user>\n` +
+    '    <cas:attributes>\n' +
+    `      <cas:uid>${escapeXml(netid)}</cas:uid>\n` +
+    '    </cas:attributes>\n' +
+    '  </cas:authenticationSuccess>\n' +
+    '</cas:serviceResponse>\n';
+};
+
+var failure = function (code, message) {
+  return '<cas:serviceResponse xmlns:cas="http://www.yale.edu/tp/cas">\n' +
+    `  <cas:authenticationFailure code="${code}">${escapeXml(message)}</cas:authenticationFailure>\n` +
+    '</cas:serviceResponse>\n';
+};
+
+/*
+Logs in as a configured netID - "GET /dev/cas/login?service=<url>&netid=<netid>"
+
+Without a netID, shows a page to pick one.
+ */
+router.get('/login', function (req, res) {
+  var service = req.query.service || config.CASthisServiceURL;
+  var netids = config.devAuth.netids;
+
+  if (!req.query.netid) {
+    var links = netids.map(function (netid) {
+      var href = `login?service=${encodeURIComponent(service)}&netid=${encodeURIComponent(netid)}`;
+      return `<li><a href="${escapeXml(href)}">${escapeXml(netid)}</a></li>`;
+    });
+    return res.status(200).send(`<h1>Dev CAS login</h1><ul>${links.join('')}</ul>`);
+  }
+
+  var ticket = 'ST-dev-' + crypto.randomBytes(16).toString('hex');
+  tickets[ticket] = {netid: req.query.netid, service: service};
+  var separator = service.indexOf('?') === -1 ? '?' : '&';
+  res.redirect(`${service}${separator}ticket=${ticket}`);
+});
+
+/*
+Validates a ticket, CAS 2.0 style - "GET /dev/cas/serviceValidate?ticket=<ticket>&service=<url>"
+
+Tickets are single use, must be validated for the service they were issued to, and only succeed for netIDs in the
+config, so the failure paths can be exercised too.
+ */
+router.get('/serviceValidate', function (req, res) {
+  res.type('application/xml');
+  if (!req.query.ticket || !req.query.service) {
+    return res.status(200).send(failure('INVALID_REQUEST', 'ticket and service are required'));
+  }
+
+  var issued = tickets[req.query.ticket];
+  delete tickets[req.query.ticket];
+
+  if (!issued) return res.status(200).send(failure('INVALID_TICKET', `Ticket ${req.query.ticket} not recognized`));
+  if (issued.service !== req.query.service) {
+    return res.status(200).send(failure('INVALID_SERVICE', `Ticket was not issued for ${req.query.service}`));
+  }
+  if (config.devAuth.netids.indexOf(issued.netid) === -1) {
+    return res.status(200).send(failure('INVALID_TICKET', `${issued.netid} is not a configured dev user`));
+  }
+  res.status(200).send(success(issued.netid));
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+var express = require('express');
+var router = express.Router();
+var bodyParser = require('body-parser');
+var authMiddleware = require('../middleware/AuthMiddleware');
+var requirePermission = require('../middleware/PermissionMiddleware');
+var validate = require('../middleware/ValidationMiddleware');
+var Drawer = require('../models/Drawer');
+var Transaction = require('../models/Transaction');
+var errors = require('../errors');
+
+router.param('id', validate.objectIdParam);
+router.use(bodyParser.json());
+router.use(authMiddleware);
+
+/*
+Gets all drawers, most recent first - "GET /drawers"
+ */
+router.get('/', function (req, res, next) {
+  Drawer.find({}).sort({date_created: -1}).exec(function (err, drawers) {
+    if (err) return next(err);
+    res.status(200).send(drawers);
+  });
+});
+
+/*
+Gets the drawer which is currently open - "GET /drawers/current"
+ */
+router.get('/current', function (req, res, next) {
+  Drawer.findOne({is_open: true}).populate('transactions').exec(function (err, drawer) {
+    if (err) return next(err);
+    if (!drawer) return next(errors.notFound("No drawer is open."));
+    res.status(200).send(drawer);
+  });
+});
+
+/*
+Opens a drawer at the start of a shift with the counted starting float - "POST /drawers"
+ */
+router.post('/', requirePermission('take_payment'), validate.body({
+  starting_amount: {type: 'number', required: true, min: 0}
+}), function (req, res, next) {
+  Drawer.findOne({is_open: true}, function (err, openDrawer) {
+    if (err) return next(err);
+    if (openDrawer) return next(errors.conflict("A drawer is already open."));
+    Drawer.create({
+      date_created: Date.now(),
+      is_open: true,
+      opened_by: req.userData.user,
+      starting_amount: req.body.starting_amount
+    }, function (err, drawer) {
+      if (err) return next(err);
+      res.status(200).send(drawer);
+    });
+  });
+});
+
+/*
+Closes the open drawer with the counted ending amount - "POST /drawers/current/close"
+
+Responds with the closed drawer, including the expected amount (starting float plus the cash payments taken while it
+was open, less cash refunds), the counted amount and the difference between them (positive is over, negative is short).
+ */
+router.post('/current/close', requirePermission('take_payment'), validate.body({
+  ending_amount: {type: 'number', required: true, min: 0}
+}), function (req, res, next) {
+  var endingAmount = req.body.ending_amount;
+  Drawer.findOne({is_open: true}).populate('transactions').exec(function (err, drawer) {
+    if (err) return next(err);
+    if (!drawer) return next(errors.notFound("No drawer is open."));
+
+    // a complete bike which still owes money means there's money missing from the count; one which costs nothing,
+    // like a warranty fix, never gets a payment, but isn't missing anything
+    Transaction.count({complete: true, balance_due: {$gt: 0}, voided: {$ne: true}}, function (err, pending) {
+      if (err) return next(err);
+      if (pending > 0) {
+        return next(errors.conflict(`${pending} complete transaction(s) are still waiting on payment.`));
+      }
+
+      // only cash taken (or refunded) while this drawer was open ends up in it
+      var takings = drawer.transactions.reduce(function (sum, transaction) {
+        return transaction.payments.reduce(function (sum, payment) {
+          var inDrawer = payment.method === 'cash' && payment.date >= drawer.date_created;
+          return inDrawer ? sum + payment.amount : sum;
+        }, sum);
+      }, 0);
+
+      drawer.is_open = false;
+      drawer.date_closed = Date.now();
+      drawer.closed_by = req.userData.user;
+      drawer.ending_amount = endingAmount;
+      drawer.expected_amount = Math.round((drawer.starting_amount + takings) * 100) / 100;
+      drawer.difference = Math.round((endingAmount - drawer.expected_amount) * 100) / 100;
+      drawer.save(function (err, drawer) {
+        if (err) return next(err);
+        res.status(200).send(drawer);
+      });
+    });
+  });
+});
+
+/*
+Gets a single drawer - "GET /drawers/:id"
+ */
+router.get('/:id', function (req, res, next) {
+  Drawer.findById(req.params.id).populate('transactions').exec(function (err, drawer) {
+    if (err) return next(err);
+    if (!drawer) return next(errors.notFound("No drawer found."));
+    res.status(200).send(drawer);
+  });
+});
+
+module.exports = router;
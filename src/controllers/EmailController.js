@@ -0,0 +1,73 @@
+var express = require('express');
+var router = express.Router();
+var bodyParser = require('body-parser');
+var Email = require('../models/Email');
+var authMiddleware = require('../middleware/AuthMiddleware');
+var validate = require('../middleware/ValidationMiddleware');
+var filters = require('../filters');
+var outbox = require('../outbox');
+var errors = require('../errors');
+
+router.param('id', validate.objectIdParam);
+router.use(bodyParser.json());
+router.use(authMiddleware);
+
+/*
+Gets a page of emails from the outbox, newest first - "GET /emails?status=failed"
+
+Filters: `status` (queued, sending, sent or failed) and `transaction` (its number), with `page` and `limit` as in
+filters.js. Responds with {emails, total, page, limit, pages}.
+ */
+router.get('/', function (req, res, next) {
+  var paging = filters.parsePage(req.query);
+  var problems = paging.errors || [];
+  var query = {};
+  if (req.query.status !== undefined) {
+    if (Email.STATUSES.indexOf(req.query.status) === -1) {
+      problems.push(`status must be one of ${Email.STATUSES.join(', ')}.`);
+    }
+    query.status = req.query.status;
+  }
+  if (req.query.transaction !== undefined) {
+    if (!/^\d+$/.test(req.query.transaction)) problems.push('transaction must be a number.');
+    query.transaction = Number(req.query.transaction);
+  }
+  if (problems.length) return next(errors.badRequest('Invalid query.', problems));
+
+  Email.count(query, function (err, total) {
+    if (err) return next(err);
+    Email.find(query)
+      .sort({date_created: -1, _id: -1})
+      .skip(paging.skip)
+      .limit(paging.limit)
+      .exec(function (err, emails) {
+        if (err) return next(err);
+        res.status(200).send({
+          emails: emails,
+          total: total,
+          page: paging.page,
+          limit: paging.limit,
+          pages: Math.ceil(total / paging.limit)
+        });
+      });
+  });
+});
+
+/*
+Resends a failed email - "POST /emails/:id/resend"
+
+The email goes back on the queue with a fresh set of attempts, and the worker sends it as soon as it next runs.
+ */
+router.post('/:id/resend', validate.body({}), function (req, res, next) {
+  Email.findById(req.params.id, function (err, email) {
+    if (err) return next(err);
+    if (!email) return next(errors.notFound("No email found."));
+    if (email.status !== 'failed') return next(errors.conflict("Only failed emails can be resent."));
+    outbox.resend(email, function (err, email) {
+      if (err) return next(err);
+      res.status(200).send(email);
+    });
+  });
+});
+
+module.exports = router;
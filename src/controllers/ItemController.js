@@ -1,33 +1,165 @@
 var express = require('express');
 var router = express.Router();
 var bodyParser = require('body-parser');
+var catalog = require('../catalog');
 var Item = require('../models/Item');
-var User = require('../models/User');
-var adminMiddleware = require('../middleware/AdminMiddleware');
+var authMiddleware = require('../middleware/AuthMiddleware');
+var audit = require('../middleware/AuditMiddleware');
+var requirePermission = require('../middleware/PermissionMiddleware');
+var validate = require('../middleware/ValidationMiddleware');
+var errors = require('../errors');
 
+var SCHEMA = {
+  sku: {type: 'string', max: 100},
+  name: {type: 'string', required: true, max: 200},
+  description: {type: 'string', max: 2000},
+  price: {type: 'number', required: true, min: 0},
+  cost: {type: 'number', min: 0},
+  stock: {type: 'number', integer: true, min: 0},
+  reorder_threshold: {type: 'number', integer: true, min: 0}
+};
+
+router.param('id', validate.objectIdParam);
 router.use(bodyParser.json());
 
-router.get('/search', function (req, res) {
-  Item.find({$text: {$search: req.query.q}}, function (err, items) {
-    if (err) return res.status(500);
+// public, so wholesale costs stay out of it
+router.get('/search', function (req, res, next) {
+  Item.find({$text: {$search: req.query.q}}, {stock_movements: 0, cost: 0}, function (err, items) {
+    if (err) return next(err);
+    res.status(200).send(items);
+  });
+});
+
+router.use(authMiddleware);
+router.use(audit(Item));
+
+/*
+Gets all items at or below their reorder threshold, emptiest first - "GET /items/low-stock"
+ */
+router.get('/low-stock', function (req, res, next) {
+  Item.aggregate([
+    {$match: {$expr: {$lte: [{$ifNull: ['$stock', 0]}, {$ifNull: ['$reorder_threshold', 0]}]}}},
+    {$project: {stock_movements: 0}},
+    {$sort: {stock: 1}}
+  ]).exec(function (err, items) {
+    if (err) return next(err);
     res.status(200).send(items);
   });
 });
 
-router.use(adminMiddleware);
+router.use(requirePermission('edit_catalog'));
+
+var catalogSpec = {
+  Model: Item,
+  columns: ['sku', 'name', 'description', 'price', 'cost', 'stock', 'reorder_threshold'],
+  schema: SCHEMA,
+  key: function (row) {
+    return row.sku ? {sku: row.sku} : {name: row.name};
+  },
+  apply: function (item, row, user) {
+    ['sku', 'name', 'description', 'price', 'cost', 'reorder_threshold'].forEach(function (field) {
+      if (row[field] !== undefined) item[field] = row[field];
+    });
+    if (item.isNew && row.stock) {
+      item.stock_movements.push({change: row.stock, reason: 'initial', note: 'CSV import', user: user});
+      item.stock = row.stock;
+    }
+  },
+  // a stock count in the file for an existing item is a recount, made atomically so it can't race with sales
+  afterSave: function (item, row, user, cb) {
+    if (row.stock === undefined || row.stock === item.stock) return cb();
+    Item.adjustStock(item._id, row.stock - item.stock, {reason: 'correction', note: 'CSV import', user: user}, cb);
+  }
+};
+
+/*
+Exports the item catalog as CSV - "GET /items/export"
+ */
+router.get('/export', function (req, res, next) {
+  catalog.exportCatalog(catalogSpec, function (err, text) {
+    if (err) return next(err);
+    res.attachment('items.csv');
+    res.type('text/csv');
+    res.status(200).send(text);
+  });
+});
+
+/*
+Imports items from CSV - "POST /items/import"
 
-router.post('/', function (req, res) {
-  User.findOne({username: req.userData.user}, function (err, user) {
-    if (err) return res.status(500);
-    if (!user) return res.status(404);
-    if (!user.admin) {
-      res.status(401).end();
+The body is CSV with a header row using the export's columns. Rows are matched to existing items by SKU, or by name
+when they have no SKU; matches are updated and the rest are created. "POST /items/import?dry_run=true" reports what
+would be created, updated and rejected without changing anything.
+ */
+router.post('/import', bodyParser.text({type: ['text/csv', 'text/plain'], limit: '5mb'}), function (req, res, next) {
+  if (typeof req.body !== 'string') return next(errors.badRequest("Send the CSV as text/csv."));
+  var request = audit.details(req);
+  catalog.importCatalog(catalogSpec, req.body, {
+    dry_run: req.query.dry_run === 'true',
+    user: req.userData.user,
+    changed: function (item, before, cb) {
+      audit.record(Item, item._id, before, request, cb);
     }
-    Item.create({name: req.body.name, description: req.body.description, price: req.body.price}, function (err, item) {
-      if (err) return res.status(500).send();
-      res.status(200).send(item);
-    })
+  }, function (err, result) {
+    if (err) return next(err);
+    res.status(200).send(result);
+  });
+});
+
+/*
+Creates an item - "POST /items"
+
+A starting `stock` goes in the stock history as the initial count.
+ */
+router.post('/', validate.body(SCHEMA), function (req, res, next) {
+  var stock = req.body.stock || 0;
+  Item.create({
+    sku: req.body.sku,
+    name: req.body.name,
+    description: req.body.description,
+    price: req.body.price,
+    cost: req.body.cost,
+    stock: stock,
+    reorder_threshold: req.body.reorder_threshold,
+    stock_movements: stock ? [{change: stock, reason: 'initial', user: req.userData.user}] : []
+  }, function (err, item) {
+    if (err) return next(err);
+    res.status(200).send(item);
+  })
+});
+
+/*
+Gets the stock movement history of an item - "GET /items/:id/stock"
+ */
+router.get('/:id/stock', function (req, res, next) {
+  Item.findById(req.params.id, function (err, item) {
+    if (err) return next(err);
+    if (!item) return next(errors.notFound("No item found."));
+    res.status(200).send(item.stock_movements);
+  });
+});
+
+/*
+Records a manual stock adjustment, like receiving a shipment or writing off shrinkage - "POST /items/:id/stock"
+
+The body has the signed `change` in stock, a `reason` and an optional `note`.
+ */
+router.post('/:id/stock', validate.body({
+  change: {type: 'number', required: true, integer: true},
+  reason: {type: 'string', required: true, enum: ['shipment', 'shrinkage', 'correction']},
+  note: {type: 'string', max: 2000}
+}), function (req, res, next) {
+  var change = req.body.change;
+  if (!change) return next(errors.badRequest("change can't be zero."));
+  Item.adjustStock(req.params.id, change, {
+    reason: req.body.reason,
+    note: req.body.note,
+    user: req.userData.user
+  }, function (err, item) {
+    if (err) return next(err);
+    if (!item) return next(errors.notFound("No item found."));
+    res.status(200).send(item);
   });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
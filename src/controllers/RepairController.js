@@ -1,15 +1,143 @@
 var express = require('express');
 var router = express.Router();
 var bodyParser = require('body-parser');
+var _ = require('underscore');
+var catalog = require('../catalog');
 var Repair = require('../models/Repair');
+var authMiddleware = require('../middleware/AuthMiddleware');
+var audit = require('../middleware/AuditMiddleware');
+var requirePermission = require('../middleware/PermissionMiddleware');
+var validate = require('../middleware/ValidationMiddleware');
+var errors = require('../errors');
 
+var SCHEMA = {
+  name: {type: 'string', required: true, max: 200},
+  description: {type: 'string', max: 2000},
+  price: {type: 'number', required: true, min: 0}
+};
+
+router.param('id', validate.objectIdParam);
 router.use(bodyParser.json());
 
-router.get('/search', function (req, res) {
-  Repair.find({$text: {$search: req.query.q}}, function (err, repairs) {
-    if (err) return res.status(500);
+router.get('/search', function (req, res, next) {
+  Repair.find({$text: {$search: req.query.q}, archived: {$ne: true}}, function (err, repairs) {
+    if (err) return next(err);
     res.status(200).send(repairs);
   });
 });
 
-module.exports = router;
\ No newline at end of file
+router.use(authMiddleware);
+router.use(audit(Repair));
+router.use(requirePermission('edit_catalog'));
+
+var catalogSpec = {
+  Model: Repair,
+  columns: ['name', 'description', 'price', 'archived'],
+  // archived is read as yes/no text
+  schema: _.extend({archived: {type: 'string'}}, SCHEMA),
+  key: function (row) {
+    return {name: row.name};
+  },
+  apply: function (repair, row) {
+    ['name', 'description', 'price'].forEach(function (field) {
+      if (row[field] !== undefined) repair[field] = row[field];
+    });
+    if (row.archived !== undefined) {
+      repair.archived = ['true', 'yes', '1'].indexOf(row.archived.toLowerCase()) !== -1;
+    }
+  }
+};
+
+/*
+Exports the repair catalog as CSV, including archived repairs - "GET /repairs/export"
+ */
+router.get('/export', function (req, res, next) {
+  catalog.exportCatalog(catalogSpec, function (err, text) {
+    if (err) return next(err);
+    res.attachment('repairs.csv');
+    res.type('text/csv');
+    res.status(200).send(text);
+  });
+});
+
+/*
+Imports repairs from CSV - "POST /repairs/import"
+
+The body is CSV with a header row using the export's columns. Rows are matched to existing repairs by name; matches
+are updated and the rest are created. "POST /repairs/import?dry_run=true" reports what would be created, updated and
+rejected without changing anything.
+ */
+router.post('/import', bodyParser.text({type: ['text/csv', 'text/plain'], limit: '5mb'}), function (req, res, next) {
+  if (typeof req.body !== 'string') return next(errors.badRequest("Send the CSV as text/csv."));
+  var request = audit.details(req);
+  catalog.importCatalog(catalogSpec, req.body, {
+    dry_run: req.query.dry_run === 'true',
+    user: req.userData.user,
+    changed: function (repair, before, cb) {
+      audit.record(Repair, repair._id, before, request, cb);
+    }
+  }, function (err, result) {
+    if (err) return next(err);
+    res.status(200).send(result);
+  });
+});
+
+/*
+Gets all repairs in the catalog - "GET /repairs"
+
+Archived repairs are left out unless "GET /repairs?archived=true" is requested.
+ */
+router.get('/', function (req, res, next) {
+  var query = req.query.archived === 'true' ? {} : {archived: {$ne: true}};
+  Repair.find(query).sort({name: 1}).exec(function (err, repairs) {
+    if (err) return next(err);
+    res.status(200).send(repairs);
+  });
+});
+
+/*
+Creates a repair - "POST /repairs"
+ */
+router.post('/', validate.body(SCHEMA), function (req, res, next) {
+  Repair.create(req.body, function (err, repair) {
+    if (err) return next(err);
+    res.status(200).send(repair);
+  });
+});
+
+/*
+Updates the name, description or price of a repair, or brings it back from the archive - "PUT /repairs/:id"
+ */
+router.put('/:id', validate.body({
+  name: {type: 'string', max: 200},
+  description: SCHEMA.description,
+  price: {type: 'number', min: 0},
+  archived: {type: 'boolean'}
+}, {unknown: 'strip'}), function (req, res, next) {
+  Repair.findById(req.params.id, function (err, repair) {
+    if (err) return next(err);
+    if (!repair) return next(errors.notFound("No repair found."));
+    Object.keys(req.body).forEach(function (field) {
+      repair[field] = req.body[field];
+    });
+    repair.save(function (err, repair) {
+      if (err) return next(err);
+      res.status(200).send(repair);
+    });
+  });
+});
+
+/*
+Archives a repair - "DELETE /repairs/:id"
+
+Repairs are never removed, since old transactions still reference them.
+ */
+router.delete('/:id', function (req, res, next) {
+  Repair.findByIdAndUpdate(req.params.id, {archived: true}, {new: true}, function (err, repair) {
+    if (err) return next(err);
+    if (!repair) return next(errors.notFound("No repair found."));
+    res.status(200).send(repair);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+var express = require('express');
+var router = express.Router();
+var bodyParser = require('body-parser');
+var moment = require('moment-timezone');
+var config = require('../config')();
+var csv = require('../csv');
+var Transaction = require('../models/Transaction');
+var authMiddleware = require('../middleware/AuthMiddleware');
+var requirePermission = require('../middleware/PermissionMiddleware');
+var errors = require('../errors');
+
+var INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%Y-W%U',
+  month: '%Y-%m'
+};
+
+router.use(bodyParser.json());
+router.use(authMiddleware);
+router.use(requirePermission('view_reports'));
+
+/*
+Every report takes an optional date range with `from` and `to` (defaulting to the last 30 days), and covers the
+transactions created in that range, leaving out voided and cancelled ones. Dates are in the shop's time zone, and a
+`to` without a time covers the whole of that day. Reports of revenue only count what was sold: transactions which have
+been paid for or picked up. Add `format=csv` to any report to download it as CSV.
+ */
+
+// transactions whose money counts as revenue
+var SOLD = {$or: [{is_paid: true}, {status: 'picked_up'}]};
+
+/**
+ * Reads a date from the query in the shop's time zone.
+ * @param value - an ISO 8601 date, with or without a time
+ * @param endOfDay - whether a date without a time means the end of that day, rather than the start
+ * @returns {moment} which may be invalid
+ */
+var parseDate = function (value, endOfDay) {
+  var date = moment.tz(value, moment.ISO_8601, config.timezone);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? date.endOf('day') : date;
+};
+
+/**
+ * Builds the $match stage for the requested date range.
+ * @returns {object|null} the match, or null if a date couldn't be parsed
+ */
+var rangeMatch = function (req) {
+  var to = req.query.to ? parseDate(req.query.to, true) : moment.tz(config.timezone);
+  var from = req.query.from ? parseDate(req.query.from) : moment(to).subtract(30, 'days');
+  if (!from.isValid() || !to.isValid()) return null;
+  return {voided: {$ne: true}, status: {$ne: 'cancelled'}, date_created: {$gte: from.toDate(), $lte: to.toDate()}};
+};
+
+/**
+ * Sends report rows as JSON, or as a CSV download when the query asks for it.
+ */
+var respond = function (req, res, name, rows, columns) {
+  if (req.query.format !== 'csv') return res.status(200).send(rows);
+  res.attachment(`${name}-${moment.tz(config.timezone).format('YYYY-MM-DD')}.csv`);
+  res.type('text/csv');
+  res.status(200).send(csv.stringify(rows, columns));
+};
+
+/**
+ * Wraps a report: parses the date range, runs the aggregation and sends the result.
+ * @param name - used for the CSV file name
+ * @param columns - columns of the CSV
+ * @param pipeline - function (match, req) returning the aggregation pipeline
+ * @param format - optional function turning each aggregation result into a report row
+ */
+var report = function (name, columns, pipeline, format) {
+  return function (req, res, next) {
+    var match = rangeMatch(req);
+    if (!match) return next(errors.badRequest("Invalid date range."));
+    Transaction.aggregate(pipeline(match, req)).exec(function (err, results) {
+      if (err) return next(err);
+      respond(req, res, name, format ? results.map(format) : results, columns);
+    });
+  };
+};
+
+var orZero = function (field) {
+  return {$ifNull: [field, 0]};
+};
+
+/*
+Revenue per day, week or month, split into parts and labor - "GET /reports/sales?interval=week"
+
+Only sold transactions count; see SOLD. Periods are days, weeks and months in the shop's time zone.
+ */
+router.get('/sales', function (req, res, next) {
+  if (req.query.interval && !INTERVAL_FORMATS[req.query.interval]) {
+    return next(errors.badRequest("Interval must be day, week or month."));
+  }
+  next();
+}, report('sales', ['period', 'transactions', 'parts', 'labor', 'discounts', 'tax', 'total'], function (match, req) {
+  var format = INTERVAL_FORMATS[req.query.interval || 'day'];
+  return [
+    {$match: match},
+    {$match: SOLD},
+    {
+      $group: {
+        _id: {$dateToString: {format: format, date: '$date_created', timezone: config.timezone}},
+        transactions: {$sum: 1},
+        parts: {$sum: orZero('$price_breakdown.parts_subtotal')},
+        labor: {$sum: orZero('$price_breakdown.labor_subtotal')},
+        discounts: {$sum: orZero('$price_breakdown.transaction_discount')},
+        tax: {$sum: orZero('$price_breakdown.tax')},
+        total: {$sum: orZero('$total_cost')}
+      }
+    },
+    {$sort: {_id: 1}}
+  ];
+}, function (row) {
+  return {
+    period: row._id,
+    transactions: row.transactions,
+    parts: Math.round(row.parts * 100) / 100,
+    labor: Math.round(row.labor * 100) / 100,
+    discounts: Math.round(row.discounts * 100) / 100,
+    tax: Math.round(row.tax * 100) / 100,
+    total: Math.round(row.total * 100) / 100
+  };
+}));
+
+/*
+Number of transactions of each type - "GET /reports/transaction-types"
+ */
+router.get('/transaction-types', report('transaction-types', ['transaction_type', 'count'], function (match) {
+  return [
+    {$match: match},
+    {$group: {_id: '$transaction_type', count: {$sum: 1}}},
+    {$sort: {count: -1}}
+  ];
+}, function (row) {
+  return {transaction_type: row._id, count: row.count};
+}));
+
+/**
+ * Builds the pipeline for the most sold lines of one kind, counting only sold transactions.
+ * @param lines - `items` or `repairs`
+ * @param ref - field on the line referencing the catalog entry
+ */
+var topLines = function (lines, ref) {
+  return function (match, req) {
+    var limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    var quantity = {$ifNull: [`$${lines}.quantity`, 1]};
+    return [
+      {$match: match},
+      {$match: SOLD},
+      {$unwind: `$${lines}`},
+      {
+        $group: {
+          _id: `$${lines}.${ref}`,
+          name: {$last: `$${lines}.name`},
+          quantity: {$sum: quantity},
+          revenue: {$sum: {$multiply: [orZero(`$${lines}.price`), quantity]}}
+        }
+      },
+      {$sort: {quantity: -1}},
+      {$limit: limit}
+    ];
+  };
+};
+
+var formatTopLine = function (row) {
+  return {id: row._id, name: row.name, quantity: row.quantity, revenue: Math.round(row.revenue * 100) / 100};
+};
+
+/*
+Most sold items - "GET /reports/top-items?limit=10"
+ */
+router.get('/top-items', report('top-items', ['id', 'name', 'quantity', 'revenue'], topLines('items', 'item'),
+  formatTopLine));
+
+/*
+Most performed repairs - "GET /reports/top-repairs?limit=10"
+ */
+router.get('/top-repairs', report('top-repairs', ['id', 'name', 'quantity', 'revenue'], topLines('repairs', 'repair'),
+  formatTopLine));
+
+/*
+Average time from intake to completion, in hours - "GET /reports/turnaround"
+ */
+router.get('/turnaround', report('turnaround', ['completed', 'average_hours'], function (match) {
+  return [
+    {$match: match},
+    {$match: {date_completed: {$ne: null}}},
+    {
+      $group: {
+        _id: null,
+        completed: {$sum: 1},
+        average: {$avg: {$subtract: ['$date_completed', '$date_created']}}
+      }
+    }
+  ];
+}, function (row) {
+  return {completed: row.completed, average_hours: Math.round(row.average / 36000) / 100};
+}));
+
+/*
+Transactions which are still open, by status - "GET /reports/backlog"
+
+Unlike the other reports, the backlog isn't limited to a date range: it's everything open right now.
+ */
+router.get('/backlog', function (req, res, next) {
+  Transaction.aggregate([
+    {$match: {voided: {$ne: true}, status: {$nin: ['picked_up', 'cancelled']}}},
+    {$group: {_id: '$status', count: {$sum: 1}}},
+    {$sort: {count: -1}}
+  ]).exec(function (err, results) {
+    if (err) return next(err);
+    var rows = results.map(function (row) {
+      return {status: row._id, count: row.count};
+    });
+    respond(req, res, 'backlog', rows, ['status', 'count']);
+  });
+});
+
+module.exports = router;
@@ -3,9 +3,10 @@ var express = require('express');
 /* Wrap our router in our auth protocol */
 var router = express.Router();
 
-var moment = require('moment');
-
 var authMiddleware = require('../middleware/AuthMiddleware');
+var requirePermission = require('../middleware/PermissionMiddleware');
+var validate = require('../middleware/ValidationMiddleware');
+var audit = require('../middleware/AuditMiddleware');
 
 var bodyParser = require('body-parser');
 var Transaction = require('./../models/Transaction');
@@ -13,119 +14,229 @@ var Customer = require('./../models/Customer');
 var Bike = require('./../models/Bike');
 var Item = require('./../models/Item');
 var Repair = require('./../models/Repair');
+var Drawer = require('./../models/Drawer');
+var pricing = require('./../pricing');
+var workflow = require('./../workflow');
+var filters = require('./../filters');
+var search = require('./../search');
+var outbox = require('./../outbox');
+var receipt = require('./../receipt');
+var pdf = require('./../pdf');
 var _ = require('underscore');
+var errors = require('../errors');
 
+// transactions are numbered; everything on them has an ObjectId
+router.param('id', validate.numberParam);
+['bike_id', 'item_id', 'line_id', 'repair_id'].forEach(function (param) {
+  router.param(param, validate.objectIdParam);
+});
 router.use(bodyParser.json());
 router.use(authMiddleware);
+router.use(audit(Transaction));
+
+var DISCOUNT = {
+  kind: {type: 'string', required: true, enum: pricing.DISCOUNT_KINDS},
+  value: {type: 'number'},
+  reason: {type: 'string', max: 500}
+};
+
+var LINE = {
+  quantity: {type: 'number', positive: true},
+  discount: {type: 'object', schema: DISCOUNT, nullable: true}
+};
+
+var PAYMENT = {
+  amount: {type: 'number', required: true, positive: true},
+  method: {type: 'string', required: true, enum: Transaction.PAYMENT_METHODS},
+  note: {type: 'string', max: 2000}
+};
 
 /*
 Posts a single transaction - "POST /transactions"
- */
-router.post('/', function (req, res) {
-  if (req.body.customer) {
-    if (req.body.customer._id) {
-      Customer.findById(req.body.customer._id, function (err, customer) {
-        if (err) return res.status(500);
-        if (!customer) return res.status(404).send("Customer not found");
-        Transaction.create({
-            date_created: Date.now(),
-            transaction_type: req.body.transaction_type,
-            customer: customer._id
-          },
-          function (err, transaction) {
-            if (err) return res.status(500);
-            res.status(200).send(transaction);
-          }
-        );
-      });
 
-    } else {
-      Customer.create({
-          first_name: req.body.customer.first_name,
-          last_name: req.body.customer.last_name,
-          email: req.body.customer.email
-        },
-        function (err, customer) {
-          Transaction.create({
-            date_created: Date.now(),
-            transaction_type: req.body.transaction_type,
-            customer: customer._id
-          }, function (err, transaction) {
-            if (err) return res.status(500);
-            res.status(200).send(transaction);
-          })
-        });
+The `customer` is either an existing one, by `_id`, or the details of a new one. A new customer whose email we've seen
+before is the existing customer.
+ */
+router.post('/', requirePermission('create_transaction'), validate.body({
+  transaction_type: {type: 'string', max: 100},
+  description: {type: 'string', max: 2000},
+  customer: {
+    type: 'object',
+    required: true,
+    // a picked customer may come back as the whole document
+    unknown: 'strip',
+    schema: {
+      _id: {type: 'objectId'},
+      first_name: {type: 'string', max: 100},
+      last_name: {type: 'string', max: 100},
+      email: {type: 'email'},
+      phone: {type: 'string', max: 40}
     }
-  } else {
-    res.status(400).send("No customer specified");
   }
+}), function (req, res, next) {
+  var createTransaction = function (customer) {
+    Transaction.create({
+      date_created: Date.now(),
+      transaction_type: req.body.transaction_type,
+      description: req.body.description,
+      customer: customer._id
+    }, function (err, transaction) {
+      if (err) return next(err);
+      res.status(200).send(transaction);
+    });
+  };
+
+  if (req.body.customer._id) {
+    return Customer.findById(req.body.customer._id, function (err, customer) {
+      if (err) return next(err);
+      if (!customer) return next(errors.notFound("Customer not found"));
+      createTransaction(customer);
+    });
+  }
+
+  // reuse the customer with this email if we've seen them before, rather than making a duplicate
+  Customer.findByEmail(req.body.customer.email, function (err, existing) {
+    if (err) return next(err);
+    if (existing) return createTransaction(existing);
+    Customer.create(req.body.customer, function (err, customer) {
+      if (err) return next(err);
+      createTransaction(customer);
+    });
+  });
 });
 
 /*
-Gets all transactions - "GET /transactions"
+Gets a page of transactions - "GET /transactions?status=ready&sort=-date_created&page=2"
 
-If query parameters are supplied, they are passed in to the find function - "GET /transactions?complete=true" finds
-transactions with the property { "complete": true }.
+Filters, sorting and pagination are described in filters.js; unknown or invalid parameters are a 400. Responds with
+{transactions, total, page, limit, pages}, where total counts every transaction matching the filters. Voided
+transactions are never included.
  */
-router.get('/', function (req, res) {
-  Transaction.find(req.query)
-    .exec(function (err, transactions) {
-      if (err) return res.status(500).send();
-      return res.status(200).send(transactions);
-    })
+router.get('/', function (req, res, next) {
+  let query = filters.parseTransactionQuery(req.query);
+  if (query.errors) return next(errors.badRequest('Invalid query.', query.errors));
+
+  Transaction.count(query.filter, function (err, total) {
+    if (err) return next(err);
+    Transaction.find(query.filter)
+      .sort(query.sort)
+      .skip(query.skip)
+      .limit(query.limit)
+      .exec(function (err, transactions) {
+        if (err) return next(err);
+        return res.status(200).send({
+          transactions: transactions,
+          total: total,
+          page: query.page,
+          limit: query.limit,
+          pages: Math.ceil(total / query.limit)
+        });
+      })
+  });
+});
+
+
+/*
+Gets all voided transactions, most recently voided first - "GET /transactions/voided"
+ */
+router.get('/voided', requirePermission('void_transaction'), function (req, res, next) {
+  Transaction.find({voided: true}).sort({date_voided: -1}).exec(function (err, transactions) {
+    if (err) return next(err);
+    res.status(200).send(transactions);
+  });
 });
 
 
 /**
- * Search helper. Searches in string for given string.
- * @param str - to be searched
- * @param query - string to look for
- * @returns {boolean}
- */
-var search = function (str, query) {
-  if (str) {
-    return str.toLowerCase().search(query) !== -1;
-  } else {
-    return false;
+ * Applies a client's changes to the quantity or discount of a line.
+ * @param line - item or repair line on a transaction
+ * @param body - request body checked against LINE, with an optional quantity and discount (null removes it)
+ * @returns {string|null} what was wrong with the request, or null if the line was updated
+ */
+var updateLine = function (line, body) {
+  if (body.quantity !== undefined) line.quantity = body.quantity;
+  if (body.discount === null) {
+    line.discount = undefined;
+  } else if (body.discount !== undefined) {
+    let error = pricing.validateDiscount(body.discount);
+    if (error) return error;
+    line.discount = body.discount;
   }
+  return null;
+};
+
+
+/**
+ * Finds the transaction in the request for a route which changes it. Void transactions are frozen until they're
+ * restored, so nothing can be paid, refunded, moved along, emailed about or sold on them: they're a 409.
+ * @param req - request, with the transaction number in `id`
+ * @param next - called with any error, including a 404 when there's no such transaction
+ * @param cb - called with the transaction
+ */
+var findOpen = function (req, next, cb) {
+  Transaction.findById(req.params.id, function (err, transaction) {
+    if (err) return next(err);
+    if (!transaction) return next(errors.notFound("No transaction found."));
+    if (transaction.voided) return next(errors.conflict("This transaction is void."));
+    cb(transaction);
+  });
+};
+
+/**
+ * Moves the parts on a transaction's item lines in or out of stock, one line at a time.
+ * @param transaction - the transaction
+ * @param direction - 1 to put the parts back on the shelf, -1 to take them off it
+ * @param movement - details of the movements: reason, user and transaction
+ * @param cb - called with (err)
+ */
+var moveStock = function (transaction, direction, movement, cb) {
+  var lines = transaction.items.filter(function (line) {
+    return line.item;
+  });
+  var next = function (i) {
+    if (i === lines.length) return cb(null);
+    var quantity = lines[i].quantity === undefined || lines[i].quantity === null ? 1 : lines[i].quantity;
+    Item.adjustStock(lines[i].item._id || lines[i].item, direction * quantity, _.clone(movement), function (err) {
+      if (err) return cb(err);
+      next(i + 1);
+    });
+  };
+  next(0);
 };
 
 
 /*
- Searches for transactions by customer XOR bike XOR transaction description - "GET /transactions/search?customer="
+ Searches transactions by number, customer, bike and description at once - "GET /transactions/search?q=jane trek"
+
+ Responds with a page of results in rank order, shaped like the listing. See search.js for how matching and ranking
+ work. The older "?customer=", "?bike=" and "?description=" parameters are still accepted as the query.
 */
-router.get('/search', function (req, res) {
-  Transaction.find({}).exec(function (err, transactions) {
-    if (err) return res.status(500);
-    transactions = transactions.filter(function (el) {
-      if (req.query.customer) {
-        return search(el.customer.first_name, req.query.customer)
-          || search(el.customer.last_name, req.query.customer)
-          || search(el.customer.email, req.query.customer);
-      } else if (req.query.bike) {
-        for (let i = 0; i < el.bikes.length; i++) {
-          if (search(el.bikes[i].make, req.query.bike)
-            || search(el.bikes[i].model, req.query.bike)
-            || search(el.bikes[i].description, req.query.bike)) {
-            return true;
-          }
-        }
-      } else if (req.query.description) {
-        return search(el.description, req.query.description);
-      }
+router.get('/search', function (req, res, next) {
+  let paging = filters.parsePage(req.query);
+  if (paging.errors) return next(errors.badRequest('Invalid query.', paging.errors));
+  let q = req.query.q || req.query.customer || req.query.bike || req.query.description;
+  if (typeof q !== 'string') return next(errors.badRequest("A search query q is required."));
+
+  search.searchTransactions(q, paging, function (err, result) {
+    if (err) return next(err);
+    res.status(200).send({
+      transactions: result.transactions,
+      total: result.total,
+      page: paging.page,
+      limit: paging.limit,
+      pages: Math.ceil(result.total / paging.limit)
     });
-    res.status(200).send(transactions);
-  })
+  });
 });
 
 
 /*
 Gets a single transaction - "GET /transactions/:id"
  */
-router.get('/:id', function (req, res) {
+router.get('/:id', function (req, res, next) {
   Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404).send("No transaction found.");
+    if (err) return next(err);
+    if (!transaction) return next(errors.notFound("No transaction found."));
     res.status(200).send(transaction);
   });
 });
@@ -133,78 +244,244 @@ router.get('/:id', function (req, res) {
 
 /*
 Updates a single transaction - "PUT /transactions/:id"
+
+Only the description, type and customer can be changed here. Totals belong to the pricing engine, payments, status,
+lines and bikes to their own routes, so anything else in the body is ignored.
  */
-router.put('/:id', function (req, res) {
-  Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500).send();
-    if (!transaction) return res.status(404).send();
-
-    let date = moment().format('MMMM Do YYYY, h:mm:ss a');
-
-    // if the bike coming in has just been paid (it was just completed), send receipt email
-    if (!transaction.is_paid && req.body.is_paid) {
-      res.mailer.send('email-receipt', {
-        to: transaction.customer.email,
-        subject: `Rice Bikes - Receipt - transaction #${transaction._id}`,
-        transaction: transaction,
-        date: date
-      }, function (err) {
-        if (err) return res.status(500);
-        res.status(200).send('OK');
+router.put('/:id', validate.body({
+  description: {type: 'string', max: 2000},
+  transaction_type: {type: 'string', max: 100},
+  customer: {type: 'ref'}
+}, {unknown: 'strip'}), function (req, res, next) {
+  findOpen(req, next, function (transaction) {
+    transaction = _.extend(transaction, req.body);
+    transaction.save(function (err, transaction) {
+      if (err) return next(err);
+      res.status(200).send(transaction);
+    });
+  });
+});
+
+
+/**
+ * Saves a transaction after a payment or refund was added to it. The transaction is attached to the open drawer, and
+ * if the payment settled the balance, the customer's receipt is queued.
+ * @param req - request
+ * @param res - response, which is sent the saved transaction
+ * @param next - called with any error
+ * @param transaction - transaction with the new payment pushed on
+ */
+var savePayment = function (req, res, next, transaction) {
+  let wasPaid = transaction.is_paid;
+  transaction.save(function (err, transaction) {
+    if (err) return next(err);
+
+    // money changed hands, so it belongs in the open drawer's count
+    Drawer.attachTransaction(transaction, function (err) {
+      if (err) return next(err);
+      if (wasPaid || !transaction.is_paid) return res.status(200).send(transaction);
+
+      outbox.queue(transaction, 'receipt', function (err, transaction) {
+        if (err) return next(err);
+        res.status(200).send(transaction);
       });
+    });
+  });
+};
+
+
+/*
+Records a payment towards a transaction - "POST /transactions/:id/payments"
+
+The body has a positive `amount`, the `method` (cash, card, tetra or venmo) and an optional `note`. A transaction can
+be paid in several payments, like a deposit at intake and the rest at pickup, or split between tenders.
+ */
+router.post('/:id/payments', requirePermission('take_payment'), validate.body(PAYMENT), function (req, res, next) {
+  findOpen(req, next, function (transaction) {
+    transaction.payments.push({
+      amount: req.body.amount,
+      method: req.body.method,
+      user: req.userData.user,
+      note: req.body.note
+    });
+    savePayment(req, res, next, transaction);
+  });
+});
+
+
+/*
+Records a refund - "POST /transactions/:id/refunds"
+
+The body has the positive `amount` given back, the `method` it was given back by and a required `reason`. Refunds are
+stored as negative payments, and can't be more than what has been paid.
+ */
+router.post('/:id/refunds', requirePermission('take_payment'), validate.body(_.extend({
+  reason: {type: 'string', required: true, max: 500}
+}, PAYMENT)), function (req, res, next) {
+  let amount = req.body.amount;
+  findOpen(req, next, function (transaction) {
+    if (amount > transaction.amount_paid) {
+      return next(errors.badRequest("Refund is more than has been paid."));
     }
+    transaction.payments.push({
+      amount: -amount,
+      method: req.body.method,
+      user: req.userData.user,
+      reason: req.body.reason,
+      note: req.body.note
+    });
+    savePayment(req, res, next, transaction);
+  });
+});
+
+
+/*
+Side effects of entering a status, called with (transaction, cb) after the transition is saved.
+ */
+var onEnter = {
+  // waiting_email stays set until the outbox has sent this
+  ready: function (transaction, cb) {
+    outbox.queue(transaction, 'ready', cb);
+  }
+};
+
+
+/*
+Moves a transaction to another status - "POST /transactions/:id/status"
+
+The body has the new `status` and an optional `note`. Only the transitions in workflow.js are allowed, and a bike
+can't be picked up while money is still owed on it.
+ */
+router.post('/:id/status', validate.body({
+  status: {type: 'string', required: true, enum: workflow.STATUSES},
+  note: {type: 'string', max: 2000}
+}), function (req, res, next) {
+  findOpen(req, next, function (transaction) {
+    if (req.body.status === 'picked_up' && transaction.balance_due > 0) {
+      return next(errors.conflict("The transaction hasn't been paid for."));
+    }
+
+    let error = transaction.transition(req.body.status, req.userData.user, req.body.note);
+    if (error) return next(errors.conflict(error));
 
-    transaction = _.extend(transaction, req.body);
     transaction.save(function (err, transaction) {
-      res.status(200).send(transaction);
+      if (err) return next(err);
+      let sideEffect = onEnter[transaction.status];
+      if (!sideEffect) return res.status(200).send(transaction);
+      sideEffect(transaction, function (err, transaction) {
+        if (err) return next(err);
+        res.status(200).send(transaction);
+      });
     });
   });
 });
 
 
 /*
-Deletes a single transaction - "DELETE /transactions/:id"
+Voids a single transaction - "DELETE /transactions/:id"
+
+Transactions are never removed; they're flagged as void with the `reason` from the body (or query), and left out of
+listings and search. A transaction with money paid on it can't be voided until that money has been refunded. Since
+nothing on a void transaction was sold, its parts go back in stock, and nothing more can be done to it until it's
+restored.
  */
-router.delete('/:id', function (req, res) {
+router.delete('/:id', requirePermission('void_transaction'), validate.body({
+  reason: {type: 'string', max: 500}
+}), function (req, res, next) {
+  let reason = req.body.reason || req.query.reason;
+  if (!reason) return next(errors.badRequest("A reason is required to void a transaction."));
   Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404).send("No transaction found.");
-    transaction.remove(function (err) {
-      if (err) return res.status(500);
+    if (err) return next(err);
+    if (!transaction) return next(errors.notFound("No transaction found."));
+    if (transaction.voided) return next(errors.conflict("This transaction is already void."));
+    if (transaction.amount_paid > 0) {
+      return next(errors.conflict("Refund the payments on this transaction before voiding it."));
+    }
+    transaction.voided = true;
+    transaction.void_reason = reason;
+    transaction.voided_by = req.userData.user;
+    transaction.date_voided = Date.now();
+    transaction.save(function (err, transaction) {
+      if (err) return next(err);
+      moveStock(transaction, 1, {reason: 'return', user: req.userData.user, transaction: transaction._id},
+        function (err) {
+          if (err) return next(err);
+          res.status(200).send("OK");
+        });
     });
-    res.status(200).send("OK");
   })
 });
 
 
 /*
-Posts a bike to a transaction - "POST /transactions/:id/bikes"
+Restores a voided transaction - "POST /transactions/:id/restore"
+
+Its parts come back out of stock.
  */
-router.post('/:id/bikes', function (req, res) {
+router.post('/:id/restore', requirePermission('void_transaction'), validate.body({}), function (req, res, next) {
   Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404);
-    if (req.body._id) {
-      Bike.findById(req.body._id, function (err, bike) {
-        if (!bike) return res.status(404).send("No bike found");
-        transaction.bikes.push(bike);
-        transaction.save();
+    if (err) return next(err);
+    if (!transaction) return next(errors.notFound("No transaction found."));
+    if (!transaction.voided) return next(errors.conflict("This transaction isn't void."));
+    transaction.voided = false;
+    transaction.void_reason = undefined;
+    transaction.voided_by = undefined;
+    transaction.date_voided = undefined;
+    transaction.save(function (err, transaction) {
+      if (err) return next(err);
+      moveStock(transaction, -1, {reason: 'sale', user: req.userData.user, transaction: transaction._id},
+        function (err) {
+          if (err) return next(err);
+          res.status(200).send(transaction);
+        });
+    });
+  });
+});
+
+
+/*
+Posts a bike to a transaction - "POST /transactions/:id/bikes"
+
+An existing bike is reused when the body has its `_id`, or a serial number which is already registered. Otherwise a
+new bike is registered to the transaction's customer. Clients may send an existing bike as the whole document, so
+fields other than the bike's details are ignored.
+ */
+router.post('/:id/bikes', validate.body({
+  _id: {type: 'objectId'},
+  make: {type: 'string', max: 100},
+  model: {type: 'string', max: 100},
+  description: {type: 'string', max: 2000},
+  serial_number: {type: 'string', max: 100},
+  color: {type: 'string', max: 50},
+  type: {type: 'string', max: 50}
+}, {unknown: 'strip'}), function (req, res, next) {
+  findOpen(req, next, function (transaction) {
+
+    var attach = function (err, bike) {
+      if (err) return next(err);
+      if (!bike) return next(errors.notFound("No bike found"));
+      transaction.bikes.addToSet(bike._id);
+      transaction.save(function (err, transaction) {
+        if (err) return next(err);
+        res.status(200).send(transaction);
       });
-      res.status(200).send(transaction);
-    } else {
+    };
+
+    if (req.body._id) return Bike.findById(req.body._id, attach);
+
+    Bike.findBySerial(req.body.serial_number, function (err, bike) {
+      if (err) return next(err);
+      if (bike) return attach(null, bike);
       Bike.create({
-          make: req.body.make,
-          model: req.body.model,
-          description: req.body.description
-        },
-        function (err, bike) {
-          if (err) return res.status(500);
-          transaction.bikes.push(bike);
-          transaction.save(function (err, transaction) {
-            res.status(200).send(transaction);
-          });
-        });
-    }
+        make: req.body.make,
+        model: req.body.model,
+        description: req.body.description,
+        serial_number: req.body.serial_number,
+        color: req.body.color,
+        type: req.body.type,
+        customer: transaction.customer && (transaction.customer._id || transaction.customer)
+      }, attach);
+    });
   });
 });
 
@@ -212,14 +489,13 @@ router.post('/:id/bikes', function (req, res) {
 /*
 Deletes a bike from the transaction - "DELETE /transactions/:id/bikes/:bike_id"
  */
-router.delete('/:id/bikes/:bike_id', function (req, res) {
-  Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404);
-    transaction.bikes.splice(transaction.bikes.find(function (b) {
-      return b = req.params.bike_id
-    }), 1);
+router.delete('/:id/bikes/:bike_id', function (req, res, next) {
+  findOpen(req, next, function (transaction) {
+    transaction.bikes = transaction.bikes.filter(function (bike) {
+      return String(bike._id || bike) !== req.params.bike_id;
+    });
     transaction.save(function (err, transaction) {
+      if (err) return next(err);
       res.status(200).send(transaction);
     });
   })
@@ -229,17 +505,26 @@ router.delete('/:id/bikes/:bike_id', function (req, res) {
 /*
 Adds an existing item to the transaction - "POST /transactions/items"
  */
-router.post('/:id/items', function (req, res) {
-  Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404);
+router.post('/:id/items', validate.body({
+  _id: {type: 'objectId', required: true},
+  quantity: LINE.quantity
+}, {unknown: 'strip'}), function (req, res, next) {
+  findOpen(req, next, function (transaction) {
+    let quantity = req.body.quantity === undefined ? 1 : req.body.quantity;
     Item.findById(req.body._id, function (err, item) {
-      if (err) return res.status(500);
-      if (!item) return res.status(404);
-      transaction.items.push(item);
-      transaction.total_cost += item.price;
+      if (err) return next(err);
+      if (!item) return next(errors.notFound("No item found."));
+      transaction.items.push({item: item._id, name: item.name, price: item.price, quantity: quantity});
       transaction.save(function (err, transaction) {
-        res.status(200).send(transaction);
+        if (err) return next(err);
+        Item.adjustStock(item._id, -quantity, {
+          reason: 'sale',
+          user: req.userData.user,
+          transaction: transaction._id
+        }, function (err) {
+          if (err) return next(err);
+          res.status(200).send(transaction);
+        });
       });
     })
   })
@@ -249,40 +534,83 @@ router.post('/:id/items', function (req, res) {
 /*
 Deletes the item with specified ID from the transaction.
  */
-router.delete('/:id/items/:item_id', function (req, res) {
-  Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404);
+router.delete('/:id/items/:item_id', function (req, res, next) {
+  findOpen(req, next, function (transaction) {
 
+    let removed = null;
     for (let i = 0; i < transaction.items.length; i++) {
-      let item = transaction.items[i];
-      if (item._id == req.params.item_id) {
-        transaction.total_cost -= item.price;
+      let line = transaction.items[i];
+      let itemId = line.item && (line.item._id || line.item);
+      if (itemId == req.params.item_id || line._id == req.params.item_id) {
         transaction.items.splice(i, 1);
+        removed = line;
         break;
       }
     }
     transaction.save(function (err, transaction) {
-      res.status(200).send(transaction);
+      if (err) return next(err);
+      if (!removed) return res.status(200).send(transaction);
+
+      // the part went back on the shelf
+      Item.adjustStock(removed.item._id || removed.item, removed.quantity, {
+        reason: 'return',
+        user: req.userData.user,
+        transaction: transaction._id
+      }, function (err) {
+        if (err) return next(err);
+        res.status(200).send(transaction);
+      });
     });
   })
 });
 
 
+/*
+Updates the quantity or discount of an item line - "PUT /transactions/:id/items/:line_id"
+
+Changing the quantity moves the difference in or out of stock.
+ */
+router.put('/:id/items/:line_id', validate.body(LINE, {unknown: 'strip'}), function (req, res, next) {
+  findOpen(req, next, function (transaction) {
+    let line = transaction.items.id(req.params.line_id);
+    if (!line) return next(errors.notFound("No item line found."));
+
+    let previousQuantity = line.quantity;
+    let error = updateLine(line, req.body);
+    if (error) return next(errors.badRequest(error));
+
+    let change = line.quantity - previousQuantity;
+    transaction.save(function (err, transaction) {
+      if (err) return next(err);
+      if (!change) return res.status(200).send(transaction);
+      Item.adjustStock(line.item._id || line.item, -change, {
+        reason: change > 0 ? 'sale' : 'return',
+        user: req.userData.user,
+        transaction: transaction._id
+      }, function (err) {
+        if (err) return next(err);
+        res.status(200).send(transaction);
+      });
+    });
+  });
+});
+
+
 /*
  Adds an existing repair to the transaction - "POST /transactions/repairs"
  */
-router.post('/:id/repairs', function (req, res) {
-  Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404);
+router.post('/:id/repairs', validate.body({
+  _id: {type: 'objectId', required: true}
+}, {unknown: 'strip'}), function (req, res, next) {
+  findOpen(req, next, function (transaction) {
     Repair.findById(req.body._id, function (err, repair) {
-      if (err) return res.status(500);
-      if (!repair) return res.status(404);
-      var rep = {"repair": repair, "completed": false};
+      if (err) return next(err);
+      if (!repair) return next(errors.notFound("No repair found."));
+      if (repair.archived) return next(errors.badRequest("This repair has been archived."));
+      var rep = {"repair": repair._id, "name": repair.name, "price": repair.price, "completed": false};
       transaction.repairs.push(rep);
-      transaction.total_cost += repair.price;
       transaction.save(function (err, transaction) {
+        if (err) return next(err);
         res.status(200).send(transaction);
       });
     })
@@ -293,56 +621,143 @@ router.post('/:id/repairs', function (req, res) {
 /*
  Deletes the repair with specified ID from the transaction.
  */
-router.delete('/:id/repairs/:repair_id', function (req, res) {
-  Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404);
+router.delete('/:id/repairs/:repair_id', function (req, res, next) {
+  findOpen(req, next, function (transaction) {
     transaction.repairs = transaction.repairs.filter(function (rep) {
-      if (rep._id == req.params.repair_id) {
-        transaction.total_cost -= rep.repair.price;
-        return false;
-      } else return true;
+      return rep._id != req.params.repair_id;
     });
 
     transaction.save(function (err, transaction) {
+      if (err) return next(err);
       res.status(200).send(transaction);
     });
   })
 });
 
 /*
- Email handler
+ Updates the quantity, discount or completion of a repair line - "PUT /transactions/:id/repairs/:repair_id"
  */
-router.get('/:id/email-notify', function (req, res) {
-  Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404);
-
-    res.mailer.send('email-notify-ready', {
-      to: transaction.customer.email,
-      subject: `Rice Bikes - your bike is ready - ${transaction._id}`,
-      first_name: transaction.customer.first_name
-    }, function (err) {
-      if (err) return res.status(500);
-      res.status(200).send('OK');
+router.put('/:id/repairs/:repair_id', validate.body(_.extend({
+  completed: {type: 'boolean'}
+}, LINE), {unknown: 'strip'}), function (req, res, next) {
+  findOpen(req, next, function (transaction) {
+    let line = transaction.repairs.id(req.params.repair_id);
+    if (!line) return next(errors.notFound("No repair line found."));
+
+    let error = updateLine(line, req.body);
+    if (error) return next(errors.badRequest(error));
+    if (req.body.completed !== undefined) line.completed = req.body.completed;
+
+    transaction.save(function (err, transaction) {
+      if (err) return next(err);
+      res.status(200).send(transaction);
+    });
+  });
+});
+
+
+/*
+ Sets a discount on the whole transaction - "PUT /transactions/:id/discount"
+
+ The body is the discount: {kind, value, reason}, where kind is student, employee, percentage or fixed.
+ */
+router.put('/:id/discount', validate.body(DISCOUNT, {unknown: 'strip'}), function (req, res, next) {
+  let error = pricing.validateDiscount(req.body);
+  if (error) return next(errors.badRequest(error));
+  findOpen(req, next, function (transaction) {
+    transaction.discount = req.body;
+    transaction.save(function (err, transaction) {
+      if (err) return next(err);
+      res.status(200).send(transaction);
+    });
+  });
+});
+
+
+/*
+ Removes the discount from the whole transaction - "DELETE /transactions/:id/discount"
+ */
+router.delete('/:id/discount', function (req, res, next) {
+  findOpen(req, next, function (transaction) {
+    transaction.discount = undefined;
+    transaction.save(function (err, transaction) {
+      if (err) return next(err);
+      res.status(200).send(transaction);
     });
   });
 });
 
-router.get('/:id/email-receipt', function (req, res) {
+/**
+ * Queues an email about the transaction in the request, sending back the transaction.
+ * @param kind - one of outbox.KINDS
+ */
+var queueEmail = function (req, res, next, kind) {
+  findOpen(req, next, function (transaction) {
+    outbox.queue(transaction, kind, function (err, transaction) {
+      if (err) return next(err);
+      res.status(200).send(transaction);
+    });
+  });
+};
+
+/*
+Emails the customer that their bike is ready - "GET /transactions/:id/email-notify"
+
+Like every email, it's queued and sent by the outbox; the transaction's `emails` show when it has gone out.
+ */
+router.get('/:id/email-notify', function (req, res, next) {
+  queueEmail(req, res, next, 'ready');
+});
+
+/*
+Shows the receipt as the customer would get it, without sending anything - "GET /transactions/:id/receipt"
+
+Responds with the HTML of the receipt email.
+ */
+router.get('/:id/receipt', function (req, res, next) {
+  Transaction.findById(req.params.id, function (err, transaction) {
+    if (err) return next(err);
+    if (!transaction) return next(errors.notFound("No transaction found."));
+    res.status(200).render('email-receipt', receipt.locals(transaction, Date.now()));
+  });
+});
+
+/**
+ * Sends a PDF of the transaction in the request, to be shown in the browser and printed.
+ * @param name - what the file is called, before the transaction number
+ * @param layout - lays out the PDF from the transaction; see pdf.js
+ */
+var sendPDF = function (req, res, next, name, layout) {
   Transaction.findById(req.params.id, function (err, transaction) {
-    if (err) return res.status(500);
-    if (!transaction) return res.status(404);
-
-    res.mailer.send('email-receipt', {
-      to: transaction.customer.email,
-      subject: `Rice Bikes - Receipt - transaction #${transaction._id}`,
-      transaction: transaction
-    }, function (err) {
-      if (err) return res.status(500);
-      res.status(200).send('OK');
-    })
+    if (err) return next(err);
+    if (!transaction) return next(errors.notFound("No transaction found."));
+    res.status(200).type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="${name}-${transaction._id}.pdf"`);
+    layout(transaction).pipe(res);
   });
+};
+
+/*
+Gets the work order to print and tag the bike with at intake - "GET /transactions/:id/work-order.pdf"
+ */
+router.get('/:id/work-order.pdf', function (req, res, next) {
+  sendPDF(req, res, next, 'work-order', pdf.workOrder);
+});
+
+/*
+Gets the receipt to print for the customer - "GET /transactions/:id/receipt.pdf"
+ */
+router.get('/:id/receipt.pdf', function (req, res, next) {
+  sendPDF(req, res, next, 'receipt', function (transaction) {
+    return pdf.receipt(transaction, Date.now());
+  });
+});
+
+/*
+Emails the customer their receipt - "GET /transactions/:id/email-receipt"
+ */
+router.get('/:id/email-receipt', function (req, res, next) {
+  queueEmail(req, res, next, 'receipt');
 });
 
 module.exports = router;
\ No newline at end of file
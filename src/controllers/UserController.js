@@ -1,105 +1,161 @@
 var express = require('express');
-var jwt = require('jsonwebtoken');
 var router = express.Router();
 var bodyParser = require('body-parser');
 var User = require('./../models/User');
-var config = require('../config')();
+var Session = require('./../models/Session');
 var app = require('../app');
 var authMiddleware = require('../middleware/AuthMiddleware');
+var audit = require('../middleware/AuditMiddleware');
+var requirePermission = require('../middleware/PermissionMiddleware');
+var validate = require('../middleware/ValidationMiddleware');
+var permissions = require('../permissions');
+var errors = require('../errors');
 
+router.param('user_id', validate.objectIdParam);
 router.use(bodyParser.json());
 router.use(authMiddleware);
+router.use(audit(User));
 
 
-var checkIfAdmin = function (req, res, next) {
-  User.findOne({username: req.userData.user}, function (err, user) {
-    if (err) return res.status(500).send();
-    if (!user) return res.status(404).send();
-    if (!user.admin) {
-      return res.status(401).send();
-    }
-    next();
+/**
+ * Works out the role a user should be created with: the `role` in the body, or for older clients, admin or volunteer
+ * from the `admin` flag.
+ * @returns {string} the role
+ */
+var roleFromBody = function (body) {
+  if (body.role === undefined) return body.admin ? 'admin' : 'volunteer';
+  return body.role;
+};
+
+/**
+ * Makes sure a change leaves another active admin, so there's always someone who can manage users.
+ * @param user - user who is about to stop being an active admin, by being demoted, deactivated or deleted
+ * @param action - what is being done to them, for the error
+ * @param cb - called with (err), a 409 if they're the last active admin
+ */
+var keepAnAdmin = function (user, action, cb) {
+  if (user.getRole() !== 'admin' || !user.active) return cb();
+  User.find({_id: {$ne: user._id}, active: {$ne: false}}, function (err, users) {
+    if (err) return cb(err);
+    var admins = users.filter(function (u) {
+      return u.getRole() === 'admin';
+    });
+    if (!admins.length) return cb(errors.conflict(`Can't ${action} the last admin.`));
+    cb();
   });
 };
 
 /*
 Create a user.
  */
-router.post('/', function (req, res) {
-  User.findOne({username: req.userData.user}, function (err, user) {
-    if (err) return res.status(500);
-    if (!user) return res.status(404);
-    if (!user.admin) {
-      res.status(401).end();
-    }
-    User.create({username: req.body.username, admin: req.body.admin}, function (err, newUser) {
-      if (err) res.status(500);
-      res.status(200).send(newUser);
-    });
+router.post('/', requirePermission('manage_users'), validate.body({
+  username: {type: 'string', required: true, max: 100},
+  role: {type: 'string', enum: permissions.ROLES},
+  admin: {type: 'boolean'}
+}), function (req, res, next) {
+  User.create({username: req.body.username, role: roleFromBody(req.body)}, function (err, newUser) {
+    if (err) return next(err);
+    res.status(200).send(newUser);
   });
 });
 
 /*
 Gets all users - "GET /user"
  */
-router.get('/', function (req, res) {
+router.get('/', function (req, res, next) {
   User.find({}, function (err, users) {
-    if (err)
-      return res.status(500).send("There was a problem finding the users.");
+    if (err) return next(err);
     res.status(200).send(users);
   });
 });
 
 /*
-Delete a user.
+Gets the roles and the permissions each one has - "GET /users/roles"
  */
-router.delete('/:user_id', function (req, res) {
-  User.findOne({username: req.userData.user}, function (err, reqUser) {
-    if (err) res.status(500);
-    if (!reqUser) res.status(404);
-    if (!reqUser.admin) {
-      res.status(401).sendStatus();
-    }
-    User.findById(req.params.user_id, function (err, user) {
-      if (err) res.status(500).sendStatus();
-      if (!user) res.status(404).sendStatus();
-      user.remove(function (err) {
-        if (err) res.status(500)
-      });
-      res.status(200).end();
+router.get('/roles', function (req, res) {
+  res.status(200).send(permissions.MATRIX);
+});
+
+/*
+Assigns a role to a user - "PUT /users/:user_id/role"
+
+The body has the new `role`. The last admin can't be demoted, so there's always someone left who can manage users.
+ */
+router.put('/:user_id/role', requirePermission('manage_users'), validate.body({
+  role: {type: 'string', required: true, enum: permissions.ROLES}
+}), function (req, res, next) {
+
+  var assign = function (user) {
+    user.role = req.body.role;
+    user.save(function (err, user) {
+      if (err) return next(err);
+      res.status(200).send(user);
     });
-  });
+  };
 
+  User.findById(req.params.user_id, function (err, user) {
+    if (err) return next(err);
+    if (!user) return next(errors.notFound("User not found."));
+    if (req.body.role === 'admin') return assign(user);
+    keepAnAdmin(user, 'demote', function (err) {
+      if (err) return next(err);
+      assign(user);
+    });
+  });
 });
 
 /*
-Authenticates a user, returning a token if the username and password match.
+Activates or deactivates a user - "PUT /users/:user_id/active"
 
-The token is then stored in the browser until the session expires. All requests after authenticating are made using this
-token (in the headers 'x-access-token' or the body 'token'), which we verify before processing the request.
+The body has `active`, true or false. Deactivating a user ends all of their sessions. The last active admin can't be
+deactivated.
  */
-router.post('/authenticate', function (req, res) {
-  User.findOne({username: req.body.username}, function (err, user) {
-    if (err) res.status(500);
-    if (!user) {
-      res.status(401).json({success: false, message: 'Email not found'});
-      return;
-    }
-
-    if (user.password !== req.body.password) {
-      res.status(401).json({success: false, message: 'Incorrect password'});
-      return;
-    }
-
-    var token = jwt.sign({data: user}, config.secret, {expiresIn: '24h'});
-
-    res.json({
-      success: true,
-      message: 'Authenticated',
-      token: token
+router.put('/:user_id/active', requirePermission('manage_users'), validate.body({
+  active: {type: 'boolean', required: true}
+}), function (req, res, next) {
+
+  var setActive = function (user) {
+    user.active = req.body.active;
+    user.save(function (err, user) {
+      if (err) return next(err);
+      if (user.active) return res.status(200).send(user);
+      Session.revokeAll(user.username, function (err) {
+        if (err) return next(err);
+        res.status(200).send(user);
+      });
     });
-  })
+  };
+
+  User.findById(req.params.user_id, function (err, user) {
+    if (err) return next(err);
+    if (!user) return next(errors.notFound("User not found."));
+    if (req.body.active) return setActive(user);
+    keepAnAdmin(user, 'deactivate', function (err) {
+      if (err) return next(err);
+      setActive(user);
+    });
+  });
 });
 
+/*
+Delete a user. The last active admin can't be deleted.
+ */
+router.delete('/:user_id', requirePermission('manage_users'), function (req, res, next) {
+  User.findById(req.params.user_id, function (err, user) {
+    if (err) return next(err);
+    if (!user) return next(errors.notFound("User not found."));
+    keepAnAdmin(user, 'delete', function (err) {
+      if (err) return next(err);
+      user.remove(function (err) {
+        if (err) return next(err);
+        // their tokens stop working right away, rather than when they expire
+        Session.revokeAll(user.username, function (err) {
+          if (err) return next(err);
+          res.status(200).end();
+        });
+      });
+    });
+  });
+});
 
 module.exports = router;
\ No newline at end of file
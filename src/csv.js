@@ -0,0 +1,94 @@
+/*
+Minimal CSV support, enough for reports and catalog exports.
+ */
+
+var escape = function (value) {
+  if (value === undefined || value === null) return '';
+  var str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+};
+
+/**
+ * Turns a list of objects into CSV text, with a header row.
+ * @param rows - list of objects
+ * @param columns - the keys of each object to write, in order
+ * @returns {string}
+ */
+var stringify = function (rows, columns) {
+  var lines = [columns.map(escape).join(',')];
+  rows.forEach(function (row) {
+    lines.push(columns.map(function (column) {
+      return escape(row[column]);
+    }).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Parses CSV text with a header row into a list of objects keyed by the (trimmed, lowercased) headers. Handles quoted
+ * fields, including quotes, commas and newlines inside them. Blank lines are skipped.
+ * @param text - CSV text
+ * @returns {Array} rows, each with a `_line` giving the line of the file it started on
+ */
+var parse = function (text) {
+  var records = [];
+  var record = [];
+  var field = '';
+  var quoted = false;
+  var line = 1;
+  var start = 1;
+
+  var endField = function () {
+    record.push(field);
+    field = '';
+  };
+  var endRecord = function () {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push({line: start, values: record});
+    record = [];
+    start = line;
+  };
+
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      endField();
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || record.length) endRecord();
+
+  if (!records.length) return [];
+  var headers = records[0].values.map(function (header) {
+    return header.trim().toLowerCase();
+  });
+  return records.slice(1).map(function (record) {
+    var row = {_line: record.line};
+    headers.forEach(function (header, i) {
+      row[header] = record.values[i] === undefined ? '' : record.values[i].trim();
+    });
+    return row;
+  });
+};
+
+module.exports = {
+  stringify: stringify,
+  parse: parse
+};
@@ -0,0 +1,56 @@
+/*
+Errors for clients. Handlers never send error responses themselves: they pass an error to `next`, either one made
+here for a problem with the request, or whatever error a callback gave them. ErrorMiddleware turns every error into
+the same JSON envelope:
+
+    {success: false, code: 'not_found', message: 'No transaction found.', details: ..., request_id: '...'}
+
+`details` is only there when there's more to say, like every problem with a query. Errors which aren't made here are
+sent as 500s, without their message, and logged with the request ID.
+ */
+
+var CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  500: 'internal_error',
+  502: 'bad_gateway'
+};
+
+/**
+ * Makes an error to send to the client.
+ * @param status - HTTP status
+ * @param message - what went wrong, for people
+ * @param details - optional extra data for the client, like a list of problems or a conflicting document
+ * @returns {Error}
+ */
+var httpError = function (status, message, details) {
+  var err = new Error(message);
+  err.status = status;
+  err.code = CODES[status];
+  err.details = details;
+  // safe to show the client
+  err.expose = true;
+  return err;
+};
+
+var shorthand = function (status) {
+  return function (message, details) {
+    return httpError(status, message, details);
+  };
+};
+
+module.exports = {
+  CODES: CODES,
+  httpError: httpError,
+  badRequest: shorthand(400),
+  unauthorized: shorthand(401),
+  forbidden: shorthand(403),
+  notFound: shorthand(404),
+  conflict: shorthand(409),
+  badGateway: shorthand(502)
+};
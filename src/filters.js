@@ -0,0 +1,124 @@
+var mongoose = require('mongoose');
+var validation = require('./validation');
+var workflow = require('./workflow');
+
+/*
+The query language of "GET /transactions". Only the parameters below are accepted, each is parsed to the type of the
+field it filters, and nothing from the query string reaches Mongo without going through here.
+
+    status=ready,waiting_part         one or more statuses
+    transaction_type=Repair           exact type
+    customer=<id>, bike=<id>          transactions of a customer, or with a bike on them
+    is_paid, complete, waiting_part,
+    waiting_email=true|false          the derived flags
+    created_from, created_to,
+    completed_from, completed_to      date ranges, inclusive
+    sort=-date_created                field to sort by, descending with a leading '-'
+    page=1, limit=25                  pagination, at most 100 per page
+ */
+
+var BOOLEANS = ['is_paid', 'complete', 'waiting_part', 'waiting_email'];
+var DATE_RANGES = {
+  created_from: ['date_created', '$gte'],
+  created_to: ['date_created', '$lte'],
+  completed_from: ['date_completed', '$gte'],
+  completed_to: ['date_completed', '$lte']
+};
+var SORTABLE = ['_id', 'date_created', 'date_completed', 'total_cost', 'status', 'transaction_type'];
+var PAGING = ['sort', 'page', 'limit'];
+// the auth middleware accepts the token as a query parameter too
+var IGNORED = ['token'];
+
+var KNOWN = ['status', 'transaction_type', 'customer', 'bike']
+  .concat(BOOLEANS, Object.keys(DATE_RANGES), PAGING, IGNORED);
+
+var DEFAULT_LIMIT = 25;
+var MAX_LIMIT = 100;
+
+/**
+ * Parses the `page` and `limit` parameters of a paginated request.
+ * @param query - req.query
+ * @returns {object} {errors}, or {page, limit, skip}
+ */
+var parsePage = function (query) {
+  var errors = [];
+  var page = query.page === undefined ? 1 : Number(query.page);
+  var limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!(page >= 1) || page % 1 !== 0) errors.push('page must be a whole number from 1.');
+  if (!(limit >= 1 && limit <= MAX_LIMIT) || limit % 1 !== 0) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}.`);
+  }
+  if (errors.length) return {errors: errors};
+  return {page: page, limit: limit, skip: (page - 1) * limit};
+};
+
+/**
+ * Parses the query string of a transaction listing.
+ * @param query - req.query
+ * @returns {object} {errors} listing every invalid parameter, or {filter, sort, page, limit, skip}
+ */
+var parseTransactionQuery = function (query) {
+  var errors = [];
+  var filter = {voided: {$ne: true}};
+
+  Object.keys(query).forEach(function (param) {
+    if (KNOWN.indexOf(param) === -1) errors.push(`Unknown parameter ${param}.`);
+    else if (typeof query[param] !== 'string') errors.push(`${param} must be given once, as a plain value.`);
+  });
+  if (errors.length) return {errors: errors};
+
+  if (query.status) {
+    var statuses = query.status.split(',');
+    statuses.forEach(function (status) {
+      if (workflow.STATUSES.indexOf(status) === -1) errors.push(`Unknown status ${status}.`);
+    });
+    filter.status = {$in: statuses};
+  }
+
+  if (query.transaction_type) filter.transaction_type = query.transaction_type;
+
+  [['customer', 'customer'], ['bike', 'bikes']].forEach(function (pair) {
+    if (!query[pair[0]]) return;
+    if (!validation.isObjectId(query[pair[0]])) return errors.push(`${pair[0]} must be an ID.`);
+    filter[pair[1]] = new mongoose.Types.ObjectId(query[pair[0]]);
+  });
+
+  BOOLEANS.forEach(function (flag) {
+    if (query[flag] === undefined) return;
+    if (query[flag] !== 'true' && query[flag] !== 'false') return errors.push(`${flag} must be true or false.`);
+    filter[flag] = query[flag] === 'true';
+  });
+
+  Object.keys(DATE_RANGES).forEach(function (param) {
+    if (query[param] === undefined) return;
+    var date = new Date(query[param]);
+    if (isNaN(date)) return errors.push(`${param} must be a date.`);
+    var field = DATE_RANGES[param][0];
+    filter[field] = filter[field] || {};
+    filter[field][DATE_RANGES[param][1]] = date;
+  });
+
+  var sortParam = query.sort || '-date_created';
+  var sortField = sortParam.replace(/^-/, '');
+  var sort = {};
+  if (SORTABLE.indexOf(sortField) === -1) {
+    errors.push(`Can only sort by ${SORTABLE.join(', ')}.`);
+  } else {
+    sort[sortField] = sortParam[0] === '-' ? -1 : 1;
+    // a stable tiebreak, so pages don't overlap
+    if (sortField !== '_id') sort._id = sort[sortField];
+  }
+
+  var paging = parsePage(query);
+  if (paging.errors) errors = errors.concat(paging.errors);
+
+  if (errors.length) return {errors: errors};
+  paging.filter = filter;
+  paging.sort = sort;
+  return paging;
+};
+
+module.exports = {
+  parsePage: parsePage,
+  parseTransactionQuery: parseTransactionQuery
+};
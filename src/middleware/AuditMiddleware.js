@@ -0,0 +1,126 @@
+var _ = require('underscore');
+var AuditLog = require('../models/AuditLog');
+
+var MUTATING = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Casts an ID from a route to the type of the model's _id, so we know whether a path segment is an ID at all.
+ * @returns the cast ID, or null if the segment isn't one
+ */
+var castId = function (Model, id) {
+  if (!id) return null;
+  try {
+    var cast = Model.schema.path('_id').cast(id);
+    return cast === undefined || cast === null || (typeof cast === 'number' && isNaN(cast)) ? null : cast;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Reads the stored document straight from the collection, so no population hooks run and the log holds exactly what
+ * was in the database.
+ */
+var snapshot = function (Model, id, cb) {
+  if (id === null) return cb(null, null);
+  Model.collection.findOne({_id: id}, cb);
+};
+
+/**
+ * Lists the top-level fields which differ between two versions of a document.
+ * @returns {object} field -> {from, to}
+ */
+var diff = function (before, after) {
+  before = JSON.parse(JSON.stringify(before || {}));
+  after = JSON.parse(JSON.stringify(after || {}));
+  var changes = {};
+  _.union(_.keys(before), _.keys(after)).forEach(function (key) {
+    if (!_.isEqual(before[key], after[key])) changes[key] = {from: before[key], to: after[key]};
+  });
+  return changes;
+};
+
+/**
+ * Describes the request making a change, for its audit log entries. Must be called while the request is being
+ * handled, before the router is done with it.
+ * @returns {{user, method, route}}
+ */
+var details = function (req) {
+  return {user: req.userData && req.userData.user, method: req.method, route: req.baseUrl + req.path};
+};
+
+/**
+ * Writes an audit log entry for a change to a document, comparing it as it was with how it's stored now. Nothing is
+ * written if the document didn't actually change.
+ * @param Model - model of the document
+ * @param id - ID of the document
+ * @param before - the document before the change, or null if it was created
+ * @param request - who made the change and how, from `details`
+ * @param cb - called with (err) once the entry is written
+ */
+var record = function (Model, id, before, request, cb) {
+  snapshot(Model, id, function (err, after) {
+    if (err) return cb(err);
+    if (!before && !after) return cb();
+    var changes = diff(before, after);
+    if (before && after && _.isEmpty(changes)) return cb();
+    AuditLog.create({
+      user: request.user,
+      method: request.method,
+      route: request.route,
+      entity: Model.modelName,
+      entity_id: String(id),
+      action: !before ? 'create' : !after ? 'delete' : 'update',
+      before: before,
+      after: after,
+      diff: changes
+    }, function (err) {
+      cb(err);
+    });
+  });
+};
+
+/**
+ * Creates middleware which writes an audit log entry for every successful mutating request on a router. The entity
+ * is the document whose ID is the first segment of the route, or for creates, the document sent back. Routes which
+ * change many documents at once, like imports, call `record` for each of them instead.
+ *
+ * Must come after the auth middleware, since the actor is taken from the token.
+ * @param Model - model the router manages
+ * @returns {function} express middleware
+ */
+var audit = function (Model) {
+  return function (req, res, next) {
+    if (MUTATING.indexOf(req.method) === -1) return next();
+
+    var id = castId(Model, req.path.split('/')[1]);
+    var request = details(req);
+
+    // remember the first body sent, which for creates holds the new document
+    var sent;
+    var send = res.send;
+    res.send = function (body) {
+      if (sent === undefined) sent = body;
+      return send.apply(this, arguments);
+    };
+
+    snapshot(Model, id, function (err, before) {
+      if (err) return next(err);
+
+      res.on('finish', function () {
+        if (res.statusCode >= 400) return;
+        var entityId = id !== null ? id : castId(Model, sent && sent._id);
+        if (entityId === null) return;
+        record(Model, entityId, before, request, function (err) {
+          if (err) console.error('Failed to write audit log:', err);
+        });
+      });
+      next();
+    });
+  };
+};
+
+audit.details = details;
+audit.record = record;
+
+module.exports = audit;
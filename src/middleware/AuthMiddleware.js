@@ -4,6 +4,9 @@ var authRouter = express.Router();
 var bodyParser = require('body-parser');
 
 var config = require('../config')();
+var errors = require('../errors');
+var Session = require('../models/Session');
+var User = require('../models/User');
 
 authRouter.use(bodyParser.json());
 
@@ -14,18 +17,30 @@ authRouter.use(function (req, res, next) {
   if (token) {
     jwt.verify(token, config.secret, function (err, userData) {
       if (err) {
-        return res.status(401).json({success: false, message: 'Failed to authenticate token'});
-      } else {
-        req.userData = userData.data;
-        next();
+        var message = err.name === 'TokenExpiredError' ? 'Token expired' : 'Failed to authenticate token';
+        return next(errors.unauthorized(message));
       }
+      // tokens from before sessions never expire, so they aren't accepted any more
+      if (!userData.sid) return next(errors.unauthorized('Failed to authenticate token'));
+
+      // a token is only as good as its session, and the user behind it
+      Session.findById(userData.sid, function (err, session) {
+        if (err) return next(err);
+        if (!session || session.revoked) return next(errors.unauthorized('Session has ended'));
+        User.findOne({username: userData.data.user}, function (err, user) {
+          if (err) return next(err);
+          if (!user || user.active === false) {
+            return next(errors.unauthorized('User is no longer active'));
+          }
+          req.userData = userData.data;
+          req.authSession = session;
+          next();
+        });
+      });
     });
   } else {
-    return res.status(401).send({
-      success: false,
-      message: 'No token provided.'
-    });
+    return next(errors.unauthorized('No token provided.'));
   }
 });
 
-module.exports = authRouter;
\ No newline at end of file
+module.exports = authRouter;
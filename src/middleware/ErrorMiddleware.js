@@ -0,0 +1,54 @@
+var errors = require('../errors');
+
+/**
+ * Middleware for requests no route matched. Goes after every router.
+ */
+var notFound = function (req, res, next) {
+  next(errors.notFound(`No route for ${req.method} ${req.path}.`));
+};
+
+/**
+ * Makes 400s of the Mongo errors the request is to blame for: a value which can't be cast to its field's type, like a
+ * malformed ID in a query, or a document which fails its model's validation. Anything else is passed through.
+ */
+var fromMongoose = function (err) {
+  if (err.name === 'CastError') {
+    return errors.badRequest(`${err.path} must be ${err.kind === 'ObjectId' ? 'an ID' : 'a ' + err.kind}.`);
+  }
+  if (err.name === 'ValidationError' && err.errors) {
+    return errors.badRequest('Invalid request body.', Object.keys(err.errors).map(function (path) {
+      return err.errors[path].message;
+    }));
+  }
+  return err;
+};
+
+/**
+ * Error middleware sending every error passed to `next` as the JSON envelope described in errors.js. Goes last.
+ *
+ * Errors which are safe to show, like ours or the body parser's, are sent as they are. Anything else is a 500 with a
+ * generic message. Server errors are logged with the request ID, so a response can be matched to its log lines.
+ */
+var errorHandler = function (err, req, res, next) {
+  err = fromMongoose(err);
+  var status = err.status || err.statusCode;
+  var exposed = err.expose && status >= 400;
+  if (!exposed) status = 500;
+  if (status >= 500) console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, err.stack || err);
+
+  // too late for an error response, so let express close the connection
+  if (res.headersSent) return next(err);
+
+  res.status(status).send({
+    success: false,
+    code: exposed && typeof err.code === 'string' ? err.code : errors.CODES[status] || 'error',
+    message: exposed ? err.message : 'Something went wrong.',
+    details: exposed ? err.details : undefined,
+    request_id: req.id
+  });
+};
+
+module.exports = {
+  notFound: notFound,
+  errorHandler: errorHandler
+};
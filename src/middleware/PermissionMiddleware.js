@@ -0,0 +1,26 @@
+var User = require('../models/User');
+var errors = require('../errors');
+
+/**
+ * Creates middleware which only lets the request through if the user making it has a permission. The user is put on
+ * `req.user` for the handlers after it.
+ *
+ * Must come after the auth middleware, since the user is taken from the token.
+ * @param permission - one of the permissions in permissions.js
+ * @returns {function} express middleware
+ */
+var requirePermission = function (permission) {
+  return function (req, res, next) {
+    User.findOne({username: req.userData.user}, function (err, user) {
+      if (err) return next(err);
+      if (!user) return next(errors.notFound("User not found."));
+      if (!user.can(permission)) {
+        return next(errors.forbidden(`You need the ${permission} permission to do this.`));
+      }
+      req.user = user;
+      next();
+    });
+  };
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,17 @@
+var crypto = require('crypto');
+
+// IDs from a proxy in front of us are kept, as long as they look like IDs
+var VALID_ID = /^[\w-]{1,64}$/;
+
+/**
+ * Gives every request an ID, on `req.id` and the X-Request-Id response header. The access log and error responses
+ * both carry it, so a failed request can be found in the logs.
+ */
+var requestId = function (req, res, next) {
+  var given = req.get('X-Request-Id');
+  req.id = given && VALID_ID.test(given) ? given : crypto.randomBytes(8).toString('hex');
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,40 @@
+var errors = require('../errors');
+var validation = require('../validation');
+
+/**
+ * Makes middleware checking the request body against a schema (see validation.js). A valid body replaces `req.body`
+ * with the cleaned-up version, so the handler only sees the schema's fields, as the schema's types. Anything else is
+ * a 400 listing every problem.
+ * @param schema - the fields the route accepts
+ * @param options - {unknown: 'strip'} to drop unknown fields instead of rejecting them
+ */
+var body = function (schema, options) {
+  return function (req, res, next) {
+    var result = validation.check(schema, req.body, options);
+    if (result.errors) return next(errors.badRequest('Invalid request body.', result.errors));
+    req.body = result.value;
+    next();
+  };
+};
+
+/**
+ * `router.param` handler for parameters holding an ObjectId, so a malformed one is a 400 rather than a failed cast.
+ */
+var objectIdParam = function (req, res, next, value, name) {
+  if (!validation.isObjectId(value)) return next(errors.badRequest(`${name} must be an ID.`));
+  next();
+};
+
+/**
+ * `router.param` handler for parameters holding a number, like transaction numbers.
+ */
+var numberParam = function (req, res, next, value, name) {
+  if (!/^\d+$/.test(value)) return next(errors.badRequest(`${name} must be a number.`));
+  next();
+};
+
+module.exports = {
+  body: body,
+  objectIdParam: objectIdParam,
+  numberParam: numberParam
+};
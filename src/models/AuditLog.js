@@ -0,0 +1,34 @@
+var mongoose = require('mongoose');
+
+var AuditLogSchema = new mongoose.Schema({
+  date: {type: Date, default: Date.now},
+  user: String,
+  method: String,
+  route: String,
+  entity: String,
+  entity_id: String,
+  action: {type: String, enum: ['create', 'update', 'delete']},
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  diff: mongoose.Schema.Types.Mixed
+});
+
+// the log is append-only: entries can be written once and never changed or removed
+var refuse = function (next) {
+  next(new Error('Audit log entries cannot be changed.'));
+};
+
+AuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+AuditLogSchema.pre('remove', refuse);
+AuditLogSchema.pre('update', refuse);
+AuditLogSchema.pre('findOneAndUpdate', refuse);
+AuditLogSchema.pre('findOneAndRemove', refuse);
+
+AuditLogSchema.index({entity: 1, entity_id: 1, date: -1});
+AuditLogSchema.index({user: 1, date: -1});
+mongoose.model('AuditLog', AuditLogSchema);
+
+module.exports = mongoose.model('AuditLog');
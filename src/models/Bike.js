@@ -3,10 +3,25 @@ var mongoose = require('mongoose');
 var BikeSchema = new mongoose.Schema({
   make: String,
   model: String,
-  description: String
+  description: String,
+  serial_number: {type: String, trim: true, uppercase: true},
+  color: String,
+  type: {type: String},
+  customer: {type: mongoose.Schema.Types.ObjectId, ref: 'Customer'}
 });
 
+/**
+ * Finds the bike with a serial number. Serials are stored uppercase, so the lookup ignores case.
+ * @param serial - serial number to look for
+ * @param cb - called with (err, bike)
+ */
+BikeSchema.statics.findBySerial = function (serial, cb) {
+  if (!serial) return cb(null, null);
+  this.findOne({serial_number: String(serial).trim().toUpperCase()}, cb);
+};
+
 BikeSchema.index({'$**': 'text'});
+BikeSchema.index({serial_number: 1}, {sparse: true});
 mongoose.model('Bike', BikeSchema);
 
-module.exports = mongoose.model('Bike');
\ No newline at end of file
+module.exports = mongoose.model('Bike');
@@ -3,10 +3,23 @@ var mongoose = require('mongoose');
 var CustomerSchema = new mongoose.Schema({
   first_name: String,
   last_name: String,
-  email: String
+  email: {type: String, trim: true, lowercase: true},
+  phone: String,
+  notes: String
 });
 
+/**
+ * Finds the customer with an email address, ignoring case, since older records weren't stored lowercase.
+ * @param email - email address to look for
+ * @param cb - called with (err, customer)
+ */
+CustomerSchema.statics.findByEmail = function (email, cb) {
+  if (!email) return cb(null, null);
+  var escaped = email.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  this.findOne({email: new RegExp('^' + escaped + '$', 'i')}, cb);
+};
+
 CustomerSchema.index({'$**': 'text'});
 mongoose.model('Customer', CustomerSchema);
 
-module.exports = mongoose.model('Customer');
\ No newline at end of file
+module.exports = mongoose.model('Customer');
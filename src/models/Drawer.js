@@ -4,9 +4,30 @@ var DrawerSchema = new mongoose.Schema({
   date_created: Date,
   date_closed: Date,
   is_open: Boolean,
-  transactions: [{type: mongoose.Schema.Types.ObjectId, ref: 'Transaction'}]
+  opened_by: String,
+  closed_by: String,
+  starting_amount: {type: Number, default: 0},
+  ending_amount: Number,
+  expected_amount: Number,
+  difference: Number,
+  // transaction IDs are auto-incremented numbers, not ObjectIds
+  transactions: [{type: Number, ref: 'Transaction'}]
 });
 
+/**
+ * Adds a transaction to the drawer that is currently open, if there is one.
+ * @param transaction - transaction (or its ID) which was just paid
+ * @param cb - called with (err, drawer); drawer is null when no drawer is open
+ */
+DrawerSchema.statics.attachTransaction = function (transaction, cb) {
+  this.findOne({is_open: true}, function (err, drawer) {
+    if (err) return cb(err);
+    if (!drawer) return cb(null, null);
+    drawer.transactions.addToSet(transaction._id || transaction);
+    drawer.save(cb);
+  });
+};
+
 mongoose.model('Drawer', DrawerSchema);
 
-module.exports = mongoose.model('Drawer');
\ No newline at end of file
+module.exports = mongoose.model('Drawer');
@@ -0,0 +1,50 @@
+var mongoose = require('mongoose');
+
+var STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+/*
+An email in the outbox. Emails are queued by handlers and sent by the worker in outbox.js, which renders them from
+the transaction when they go out. A queued email is retried until it has been tried `outbox.max_attempts` times, and
+then it's failed, until someone resends it.
+ */
+var EmailSchema = new mongoose.Schema({
+  // one of outbox.KINDS
+  kind: String,
+  transaction: {type: Number, ref: 'Transaction'},
+  // who it went to, filled in when it's sent
+  to: String,
+  status: {type: String, enum: STATUSES, default: 'queued'},
+  attempts: {type: Number, default: 0},
+  next_attempt: {type: Date, default: Date.now},
+  // a worker sending the email holds it until then, so if the worker dies it's picked up again
+  locked_until: Date,
+  last_error: String,
+  date_created: {type: Date, default: Date.now},
+  date_sent: Date
+});
+
+/**
+ * What happened to the email, as recorded on its transaction.
+ * @returns {object}
+ */
+EmailSchema.methods.delivery = function () {
+  return {
+    _id: this._id,
+    kind: this.kind,
+    to: this.to,
+    status: this.status,
+    attempts: this.attempts,
+    last_error: this.last_error,
+    next_attempt: this.status === 'queued' ? this.next_attempt : undefined,
+    date_queued: this.date_created,
+    date_sent: this.date_sent
+  };
+};
+
+EmailSchema.statics.STATUSES = STATUSES;
+
+EmailSchema.index({status: 1, next_attempt: 1});
+EmailSchema.index({transaction: 1});
+mongoose.model('Email', EmailSchema);
+
+module.exports = mongoose.model('Email');
@@ -1,12 +1,40 @@
 var mongoose = require('mongoose');
 
+var StockMovementSchema = new mongoose.Schema({
+  date: {type: Date, default: Date.now},
+  change: Number,
+  reason: {type: String, enum: ['initial', 'sale', 'return', 'shipment', 'shrinkage', 'correction']},
+  note: String,
+  user: String,
+  transaction: {type: Number, ref: 'Transaction'}
+});
+
 var ItemSchema = new mongoose.Schema({
+  sku: {type: String, trim: true},
   name: String,
   description: String,
-  price: Number
+  price: Number,
+  cost: Number,
+  stock: {type: Number, default: 0},
+  reorder_threshold: {type: Number, default: 0},
+  stock_movements: [StockMovementSchema]
 });
 
+/**
+ * Atomically changes the stock of an item and records the movement in its history.
+ * @param id - ID of the item
+ * @param change - amount to add to the stock, negative when stock leaves the shop
+ * @param movement - details of the movement: reason, and optionally note, user and transaction
+ * @param cb - called with (err, item), the updated item
+ */
+ItemSchema.statics.adjustStock = function (id, change, movement, cb) {
+  movement.change = change;
+  movement.date = Date.now();
+  this.findByIdAndUpdate(id, {$inc: {stock: change}, $push: {stock_movements: movement}}, {new: true}, cb);
+};
+
 ItemSchema.index({name: 'text'});
+ItemSchema.index({sku: 1}, {sparse: true});
 mongoose.model('Item', ItemSchema);
 
-module.exports = mongoose.model('Item');
\ No newline at end of file
+module.exports = mongoose.model('Item');
@@ -3,10 +3,12 @@ var mongoose = require('mongoose');
 var RepairSchema = new mongoose.Schema({
   name: String,
   description: String,
-  price: Number
+  price: Number,
+  // archived repairs can't be added to new transactions, but stay around for the ones which already reference them
+  archived: {type: Boolean, default: false}
 });
 
 RepairSchema.index({name: 'text'});
 mongoose.model('Repair', RepairSchema);
 
-module.exports = mongoose.model('Repair');
\ No newline at end of file
+module.exports = mongoose.model('Repair');
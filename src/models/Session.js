@@ -0,0 +1,83 @@
+var mongoose = require('mongoose');
+var crypto = require('crypto');
+var config = require('../config')();
+
+/*
+A login session. Access tokens are short-lived JWTs carrying the session's ID; the long-lived refresh token is only
+ever stored hashed, and is swapped for a new one every time it's used.
+ */
+var SessionSchema = new mongoose.Schema({
+  username: String,
+  cas_data: mongoose.Schema.Types.Mixed,
+  refresh_token_hash: String,
+  date_created: {type: Date, default: Date.now},
+  date_expires: Date,
+  date_last_used: Date,
+  revoked: {type: Boolean, default: false},
+  date_revoked: Date
+});
+
+var hash = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+var newRefreshToken = function () {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Starts a session for a user who has just logged in.
+ * @param casData - the CAS authentication result, which becomes the payload of the access tokens
+ * @param cb - called with (err, session, refreshToken)
+ */
+SessionSchema.statics.start = function (casData, cb) {
+  var refreshToken = newRefreshToken();
+  this.create({
+    username: casData.user,
+    cas_data: casData,
+    refresh_token_hash: hash(refreshToken),
+    date_expires: Date.now() + config.refresh_token_ttl_days * 24 * 60 * 60 * 1000
+  }, function (err, session) {
+    cb(err, session, refreshToken);
+  });
+};
+
+/**
+ * Finds the live session a refresh token belongs to.
+ * @param refreshToken - refresh token sent by the client
+ * @param cb - called with (err, session); session is null if the token is unknown, revoked or expired
+ */
+SessionSchema.statics.findByRefreshToken = function (refreshToken, cb) {
+  if (!refreshToken) return cb(null, null);
+  this.findOne({refresh_token_hash: hash(refreshToken), revoked: false}, function (err, session) {
+    if (err) return cb(err);
+    if (!session || session.date_expires < Date.now()) return cb(null, null);
+    cb(null, session);
+  });
+};
+
+/**
+ * Swaps the session's refresh token for a new one. Doesn't save.
+ * @returns {string} the new refresh token
+ */
+SessionSchema.methods.rotate = function () {
+  var refreshToken = newRefreshToken();
+  this.refresh_token_hash = hash(refreshToken);
+  this.date_last_used = Date.now();
+  return refreshToken;
+};
+
+/**
+ * Revokes every session of a user, like when they're deleted or deactivated.
+ * @param username - netID of the user
+ * @param cb - called with (err)
+ */
+SessionSchema.statics.revokeAll = function (username, cb) {
+  this.update({username: username, revoked: false}, {revoked: true, date_revoked: Date.now()}, {multi: true}, cb);
+};
+
+SessionSchema.index({refresh_token_hash: 1});
+SessionSchema.index({username: 1});
+mongoose.model('Session', SessionSchema);
+
+module.exports = mongoose.model('Session');
@@ -2,32 +2,151 @@ var mongoose = require('mongoose');
 var autoIncrement = require('mongoose-auto-increment');
 var _ = require('underscore');
 var config = require('../config')();
+var pricing = require('../pricing');
+var workflow = require('../workflow');
 
 var connection = mongoose.createConnection(config.db_uri);
 autoIncrement.initialize(connection);
 
+var DiscountSchema = new mongoose.Schema({
+  kind: {type: String, enum: pricing.DISCOUNT_KINDS},
+  value: Number,
+  reason: String
+}, {_id: false});
+
+var PAYMENT_METHODS = ['cash', 'card', 'tetra', 'venmo'];
+
+// a refund is a payment with a negative amount and a reason
+var PaymentSchema = new mongoose.Schema({
+  amount: Number,
+  method: {type: String, enum: PAYMENT_METHODS},
+  date: {type: Date, default: Date.now},
+  user: String,
+  reason: String,
+  note: String
+});
+
+var StatusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  date: {type: Date, default: Date.now},
+  user: String,
+  note: String
+}, {_id: false});
+
+// what happened to an email about the transaction, kept in line with the outbox; see outbox.js
+var EmailDeliverySchema = new mongoose.Schema({
+  kind: String,
+  to: String,
+  status: String,
+  attempts: Number,
+  last_error: String,
+  next_attempt: Date,
+  date_queued: Date,
+  date_sent: Date
+});
+
 var TransactionSchema = new mongoose.Schema({
   description: String,
   transaction_type: String,
   date_created: Date,
   date_completed: Date,
+  status: {type: String, enum: workflow.STATUSES, default: 'intake'},
+  status_history: [StatusChangeSchema],
+  // complete, waiting_part and waiting_email are derived from the status; see workflow.js
   complete: {type: Boolean, default: false},
   is_paid: {type: Boolean, default: false},
   waiting_part: {type: Boolean, default: false},
   waiting_email: {type: Boolean, default: false},
+  voided: {type: Boolean, default: false},
+  void_reason: String,
+  voided_by: String,
+  date_voided: Date,
   total_cost: {type: Number, default: 0},
+  price_breakdown: {
+    parts_subtotal: Number,
+    labor_subtotal: Number,
+    line_discounts: Number,
+    subtotal: Number,
+    transaction_discount: Number,
+    discount_total: Number,
+    taxable: Number,
+    // the rates the transaction was first priced at, which it keeps; see pricing.js
+    tax_rate: Number,
+    discount_rates: {
+      student: Number,
+      employee: Number
+    },
+    tax: Number,
+    total: Number
+  },
+  discount: DiscountSchema,
+  payments: [PaymentSchema],
+  emails: [EmailDeliverySchema],
+  amount_paid: {type: Number, default: 0},
+  balance_due: {type: Number, default: 0},
   customer: {type: mongoose.Schema.Types.ObjectId, ref: 'Customer'},
   bikes: [{type: mongoose.Schema.Types.ObjectId, ref: 'Bike'}],
-  repairs: [{repair: {type: mongoose.Schema.Types.ObjectId, ref: 'Repair'}, completed: Boolean}],
-  items: [{type: mongoose.Schema.Types.ObjectId, ref: 'Item'}]
+  // each line keeps the name and price it was sold at, so later catalog edits don't rewrite old transactions
+  repairs: [{
+    repair: {type: mongoose.Schema.Types.ObjectId, ref: 'Repair'},
+    name: String,
+    price: Number,
+    quantity: {type: Number, default: 1},
+    discount: DiscountSchema,
+    completed: Boolean
+  }],
+  items: [{
+    item: {type: mongoose.Schema.Types.ObjectId, ref: 'Item'},
+    name: String,
+    price: Number,
+    quantity: {type: Number, default: 1},
+    discount: DiscountSchema
+  }]
 });
 
+/**
+ * Moves the transaction to a new status, recording who moved it and when. Doesn't save.
+ * @param to - status to move to
+ * @param user - username of whoever made the change
+ * @param note - optional note about the change
+ * @returns {string|null} why the transition isn't allowed, or null if it was made
+ */
+TransactionSchema.methods.transition = function (to, user, note) {
+  var error = workflow.checkTransition(this.status, to);
+  if (error) return error;
+  this.status_history.push({from: this.status, to: to, user: user, note: note});
+  this.status = to;
+  if (to === 'ready') {
+    this.date_completed = Date.now();
+    // cleared once the ready email has gone out
+    this.waiting_email = true;
+  }
+  return null;
+};
+
 // function which populates references with real data and updates values.
 var autoPopulate = function (next) {
   this.populate('customer');
   this.populate('bikes');
   this.populate('repairs.repair');
-  this.populate('items');
+  this.populate({path: 'items.item', select: '-stock_movements'});
+  next();
+};
+
+// the total is always derived from the lines by the pricing engine, never set directly, and whether the transaction
+// is paid is derived from the payments against that total
+var updateTotal = function (next) {
+  this.price_breakdown = pricing.priceTransaction(this);
+  this.total_cost = this.price_breakdown.total;
+  _.extend(this, pricing.summarizePayments(this.payments, this.total_cost));
+  next();
+};
+
+// keep the legacy flags in line with the status, so filtering on them still works
+var updateFlags = function (next) {
+  _.extend(this, workflow.flagsFor(this.status));
+  if (this.status !== 'ready') this.waiting_email = false;
   next();
 };
 
@@ -38,6 +157,10 @@ TransactionSchema.plugin(autoIncrement.plugin, 'Transaction');
 TransactionSchema.pre('find', autoPopulate);
 TransactionSchema.pre('findOne', autoPopulate);
 TransactionSchema.pre('save', autoPopulate);
+TransactionSchema.pre('save', updateTotal);
+TransactionSchema.pre('save', updateFlags);
+
+TransactionSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
 
 mongoose.model('Transaction', TransactionSchema);
 
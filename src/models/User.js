@@ -1,10 +1,37 @@
 var mongoose = require('mongoose');
+var permissions = require('../permissions');
 
 var UserSchema = new mongoose.Schema({
   username: String,
-  admin: Boolean
+  role: {type: String, enum: permissions.ROLES},
+  // kept in line with the role for clients which only know about admins
+  admin: Boolean,
+  active: {type: Boolean, default: true}
+});
+
+/**
+ * Gets the user's role. Users from before roles only have the admin flag, so that decides theirs.
+ * @returns {string}
+ */
+UserSchema.methods.getRole = function () {
+  return this.role || (this.admin ? 'admin' : 'volunteer');
+};
+
+/**
+ * Checks whether the user has a permission.
+ * @param permission - one of permissions.PERMISSIONS
+ * @returns {boolean}
+ */
+UserSchema.methods.can = function (permission) {
+  return permissions.can(this.getRole(), permission);
+};
+
+UserSchema.pre('save', function (next) {
+  this.role = this.getRole();
+  this.admin = this.role === 'admin';
+  next();
 });
 
 mongoose.model('User', UserSchema);
 
-module.exports = mongoose.model('User');
\ No newline at end of file
+module.exports = mongoose.model('User');
@@ -0,0 +1,216 @@
+var _ = require('underscore');
+var config = require('./config')();
+var Email = require('./models/Email');
+var Transaction = require('./models/Transaction');
+var receipt = require('./receipt');
+
+/*
+The email outbox. Handlers never send email themselves: they queue it here, and a worker started with the server sends
+whatever is due in the background, so a slow or broken SMTP server can't fail a request.
+
+An email is rendered from its transaction when it goes out, to the customer's current address. A send which fails is
+retried with exponential backoff (see the outbox settings in config.js) and the email is failed once it runs out of
+attempts, or right away if it can never succeed, like when the customer has no email address. Failed emails can be
+resent from EmailController. Every change to an email is copied onto its transaction's `emails`, so the transaction
+shows whether the customer was told.
+ */
+
+// how long a worker may hold an email it's sending before another worker may take it over
+var LOCK_TIME = 10 * 60 * 1000;
+
+/*
+The kinds of email, each with its template in /controllers, its subject, and the template's locals. A `text` local is
+sent as the plain-text part; without one, the mailer makes it from the HTML.
+ */
+var KINDS = {
+  receipt: {
+    template: 'email-receipt',
+    subject: function (transaction) {
+      return `Rice Bikes - Receipt - transaction #${transaction._id}`;
+    },
+    locals: function (transaction, email) {
+      return receipt.locals(transaction, email.date_created);
+    }
+  },
+  ready: {
+    template: 'email-notify-ready',
+    subject: function (transaction) {
+      return `Rice Bikes - your bike is ready - ${transaction._id}`;
+    },
+    locals: function (transaction) {
+      return {first_name: transaction.customer.first_name};
+    }
+  }
+};
+
+/**
+ * Queues an email to the customer of a transaction, and records it on the transaction.
+ * @param transaction - the transaction the email is about
+ * @param kind - one of KINDS
+ * @param cb - called with (err, transaction), once the transaction is saved
+ */
+var queue = function (transaction, kind, cb) {
+  Email.create({kind: kind, transaction: transaction._id}, function (err, email) {
+    if (err) return cb(err);
+    transaction.emails.push(email.delivery());
+    transaction.save(cb);
+  });
+};
+
+/**
+ * Copies the state of an email onto its transaction. A ready email which has gone out means the transaction is no
+ * longer waiting on it.
+ * @param email - an email from the outbox
+ * @param cb - called with (err, email)
+ */
+var updateTransaction = function (email, cb) {
+  var query = {_id: email.transaction, 'emails._id': email._id};
+  Transaction.update(query, {$set: {'emails.$': email.delivery()}}, function (err) {
+    if (err || email.kind !== 'ready' || email.status !== 'sent') return cb(err, email);
+    Transaction.update({_id: email.transaction, status: 'ready'}, {waiting_email: false}, function (err) {
+      cb(err, email);
+    });
+  });
+};
+
+/**
+ * Records the outcome of an attempt to send an email, scheduling another attempt if it failed and has some left.
+ * @param email - the email which was sent
+ * @param err - why it failed, or nothing if it was sent
+ * @param permanent - whether trying again would fail the same way
+ * @param cb - called with (err, email)
+ */
+var record = function (email, err, permanent, cb) {
+  email.attempts += 1;
+  email.locked_until = undefined;
+  if (!err) {
+    email.status = 'sent';
+    email.date_sent = Date.now();
+    email.last_error = undefined;
+  } else {
+    email.last_error = err.message || String(err);
+    if (permanent || email.attempts >= config.outbox.max_attempts) {
+      email.status = 'failed';
+    } else {
+      email.status = 'queued';
+      email.next_attempt = Date.now() + config.outbox.retry_delay * 1000 * Math.pow(2, email.attempts - 1);
+    }
+  }
+  email.save(function (err, email) {
+    if (err) return cb(err);
+    updateTransaction(email, cb);
+  });
+};
+
+/**
+ * Renders and sends one email.
+ * @param app - the express app, whose mailer sends it
+ * @param email - an email claimed from the outbox
+ * @param cb - called with (err, email) once the outcome is recorded; err is only for failures to record it
+ */
+var deliver = function (app, email, cb) {
+  var kind = KINDS[email.kind];
+  if (!kind) return record(email, new Error(`Unknown kind of email ${email.kind}.`), true, cb);
+
+  Transaction.findById(email.transaction, function (err, transaction) {
+    if (err) return cb(err);
+    if (!transaction) return record(email, new Error('The transaction no longer exists.'), true, cb);
+    var to = transaction.customer && transaction.customer.email;
+    if (!to) return record(email, new Error('The customer has no email address.'), true, cb);
+
+    email.to = to;
+    var locals = _.extend({to: to, subject: kind.subject(transaction)}, kind.locals(transaction, email));
+    app.mailer.send(kind.template, locals, function (err) {
+      record(email, err, false, cb);
+    });
+  });
+};
+
+/**
+ * Takes the next due email off the queue, so no other worker sends it too.
+ * @param cb - called with (err, email), or (null, null) if nothing is due
+ */
+var claim = function (cb) {
+  var now = Date.now();
+  Email.findOneAndUpdate({
+    $or: [
+      {status: 'queued', next_attempt: {$lte: now}},
+      // a worker died while sending these
+      {status: 'sending', locked_until: {$lte: now}}
+    ]
+  }, {status: 'sending', locked_until: now + LOCK_TIME}, {new: true, sort: {next_attempt: 1}}, cb);
+};
+
+/**
+ * Sends every email which is due, one at a time.
+ * @param app - the express app, whose mailer sends them
+ * @param cb - called with (err, count) once nothing is due, where count is how many emails were tried
+ */
+var processDue = function (app, cb) {
+  var count = 0;
+  var next = function () {
+    claim(function (err, email) {
+      if (err) return cb(err);
+      if (!email) return cb(null, count);
+      deliver(app, email, function (err) {
+        if (err) return cb(err);
+        count++;
+        next();
+      });
+    });
+  };
+  next();
+};
+
+/**
+ * Puts a failed email back on the queue, with a fresh set of attempts.
+ * @param email - a failed email
+ * @param cb - called with (err, email)
+ */
+var resend = function (email, cb) {
+  email.status = 'queued';
+  email.attempts = 0;
+  email.next_attempt = Date.now();
+  email.last_error = undefined;
+  email.save(function (err, email) {
+    if (err) return cb(err);
+    updateTransaction(email, cb);
+  });
+};
+
+var timer = null;
+
+/**
+ * Starts the worker, which sends whatever is due every `outbox.poll_interval` seconds.
+ * @param app - the express app, whose mailer sends the emails
+ */
+var start = function (app) {
+  if (timer) return;
+  var busy = false;
+  timer = setInterval(function () {
+    // a slow batch shouldn't be picked up again by the next tick
+    if (busy) return;
+    busy = true;
+    processDue(app, function (err) {
+      busy = false;
+      if (err) console.error('The outbox worker failed:', err);
+    });
+  }, config.outbox.poll_interval * 1000);
+};
+
+/**
+ * Stops the worker.
+ */
+var stop = function () {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  KINDS: KINDS,
+  queue: queue,
+  processDue: processDue,
+  resend: resend,
+  start: start,
+  stop: stop
+};
@@ -0,0 +1,202 @@
+var PDFDocument = require('pdfkit');
+var QRCode = require('qrcode');
+var receipt = require('./receipt');
+
+/*
+Printable PDFs of a transaction: the work order tag which goes on a bike at intake, and the paper receipt. Both are
+laid out from the same data as the receipt email (see receipt.js), and carry a QR code of the transaction number, so
+scanning one at the counter brings the transaction up.
+ */
+
+var QR_SIZE = 90;
+var BOX_SIZE = 10;
+
+/**
+ * Draws a QR code as squares, so it stays sharp at any print size.
+ * @param doc - the PDF document
+ * @param text - what the code reads as
+ * @param x - left edge
+ * @param y - top edge
+ */
+var drawQR = function (doc, text, x, y) {
+  var modules = QRCode.create(text, {errorCorrectionLevel: 'M'}).modules;
+  var cell = QR_SIZE / modules.size;
+  doc.save().fillColor('black');
+  for (var row = 0; row < modules.size; row++) {
+    for (var col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) doc.rect(x + col * cell, y + row * cell, cell, cell);
+    }
+  }
+  doc.fill().restore();
+  doc.fontSize(9).text(`#${text}`, x, y + QR_SIZE + 4, {width: QR_SIZE, align: 'center'});
+};
+
+/**
+ * Draws a checkbox at the current line, ticked if `checked`, and moves the cursor past it.
+ * @param doc - the PDF document
+ * @param checked - whether to tick the box
+ * @returns {number} the left edge for the text after the box
+ */
+var drawCheckbox = function (doc, checked) {
+  var x = doc.page.margins.left;
+  var y = doc.y + 1;
+  doc.rect(x, y, BOX_SIZE, BOX_SIZE).stroke();
+  if (checked) {
+    doc.moveTo(x + 2, y + 5).lineTo(x + 4, y + 8).lineTo(x + 8, y + 2).stroke();
+  }
+  return x + BOX_SIZE + 6;
+};
+
+/**
+ * Starts a document with the title, the transaction number and the QR code.
+ * @param title - what the document is
+ * @param lines - lines of detail under the title
+ * @param number - the transaction number
+ * @returns {PDFDocument}
+ */
+var start = function (title, lines, number) {
+  var doc = new PDFDocument({size: 'LETTER', margin: 50, info: {Title: `${title} #${number}`, Author: 'Rice Bikes'}});
+  var right = doc.page.width - doc.page.margins.right;
+  drawQR(doc, String(number), right - QR_SIZE, doc.page.margins.top);
+  doc.fontSize(22).text(title, doc.page.margins.left, doc.page.margins.top);
+  doc.fontSize(14).text(`Transaction #${number}`);
+  doc.fontSize(10);
+  lines.forEach(function (line) {
+    doc.text(line);
+  });
+  doc.y = Math.max(doc.y, doc.page.margins.top + QR_SIZE + 20);
+  return doc;
+};
+
+var heading = function (doc, text) {
+  doc.moveDown().fontSize(13).text(text, doc.page.margins.left).fontSize(10).moveDown(0.3);
+};
+
+/**
+ * Writes a label with an amount lined up on the right margin.
+ * @param doc - the PDF document
+ * @param label - text on the left
+ * @param amount - formatted amount on the right
+ * @param x - left edge of the label, if it's indented
+ */
+var row = function (doc, label, amount, x) {
+  var left = x || doc.page.margins.left;
+  var width = doc.page.width - doc.page.margins.right - left;
+  var y = doc.y;
+  doc.text(label, left, y, {width: width - 80});
+  var after = doc.y;
+  doc.text(amount, left, y, {width: width, align: 'right'});
+  doc.x = doc.page.margins.left;
+  doc.y = Math.max(after, doc.y);
+};
+
+var customerSection = function (doc, details) {
+  heading(doc, 'Customer');
+  doc.text(details.customer.name || 'No name');
+  if (details.customer.phone) doc.text(details.customer.phone);
+  if (details.customer.email) doc.text(details.customer.email);
+  if (!details.bikes.length) return;
+  heading(doc, 'Bikes');
+  details.bikes.forEach(function (bike) {
+    doc.text(bike.serial_number ? `${bike.name} (serial ${bike.serial_number})` : bike.name);
+    if (bike.description) doc.fillColor('#555555').text(bike.description, {indent: 12}).fillColor('black');
+  });
+};
+
+/**
+ * Lays out the work order for a transaction: who and what it's for, and the repairs to do, with boxes to tick off.
+ * @param transaction - transaction with its customer and bikes populated
+ * @returns {PDFDocument} the document, ended, to be piped wherever it's going
+ */
+var workOrder = function (transaction) {
+  var details = receipt.build(transaction, transaction.date_created);
+  var doc = start('Work order', [
+    `Opened ${details.date}`,
+    transaction.status ? `Status: ${transaction.status}` : null
+  ].filter(Boolean), details.number);
+
+  customerSection(doc, details);
+  if (transaction.description) {
+    heading(doc, 'Notes');
+    doc.text(transaction.description);
+  }
+
+  heading(doc, 'Repairs');
+  if (!details.repairs.length) doc.text('None yet.');
+  details.repairs.forEach(function (repair) {
+    var y = doc.y;
+    var x = drawCheckbox(doc, repair.completed);
+    doc.text(repair.quantity === 1 ? repair.name : `${repair.quantity} x ${repair.name}`, x, y);
+    doc.x = doc.page.margins.left;
+    doc.moveDown(0.3);
+  });
+
+  if (details.items.length) {
+    heading(doc, 'Parts');
+    details.items.forEach(function (item) {
+      doc.text(`${item.quantity} x ${item.name}`);
+    });
+  }
+
+  doc.moveDown(2).text('Mechanic: ______________________        Finished: ______________________');
+  doc.end();
+  return doc;
+};
+
+/**
+ * Lays out the paper receipt for a transaction, with the same lines and totals as the receipt email.
+ * @param transaction - transaction with its customer and bikes populated
+ * @param date - when the receipt was printed
+ * @returns {PDFDocument} the document, ended, to be piped wherever it's going
+ */
+var receiptPDF = function (transaction, date) {
+  var details = receipt.build(transaction, date);
+  var doc = start('Receipt', [details.date], details.number);
+
+  customerSection(doc, details);
+
+  if (details.items.length) {
+    heading(doc, 'Items');
+    details.items.forEach(function (line) {
+      row(doc, `${line.quantity} x ${line.name} @ ${line.unit_price}`, line.amount);
+      if (line.discount) row(doc, 'Discount', line.discount, doc.page.margins.left + 12);
+    });
+  }
+  if (details.repairs.length) {
+    heading(doc, 'Repairs');
+    details.repairs.forEach(function (line) {
+      var y = doc.y;
+      var x = drawCheckbox(doc, line.completed);
+      doc.y = y;
+      row(doc, `${line.quantity} x ${line.name} @ ${line.unit_price}`, line.amount, x);
+      if (line.discount) row(doc, 'Discount', line.discount, x + 12);
+      doc.moveDown(0.3);
+    });
+  }
+
+  heading(doc, 'Summary');
+  row(doc, 'Subtotal', details.subtotal);
+  if (details.discount) row(doc, 'Discounts', details.discount);
+  row(doc, 'Tax', details.tax);
+  doc.font('Helvetica-Bold');
+  row(doc, 'Total', details.total);
+  doc.font('Helvetica');
+
+  if (details.payments.length) {
+    heading(doc, 'Payments');
+    details.payments.forEach(function (payment) {
+      row(doc, `${payment.label} - ${payment.date}`, payment.amount);
+    });
+    row(doc, 'Paid', details.amount_paid);
+  }
+  doc.moveDown(0.5).font('Helvetica-Bold');
+  row(doc, 'Balance due', details.balance_due);
+  doc.font('Helvetica').moveDown(2).text('Thank you for visiting Rice Bikes! - bikes.rice.edu', {align: 'center'});
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  workOrder: workOrder,
+  receipt: receiptPDF
+};
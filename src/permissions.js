@@ -0,0 +1,42 @@
+/*
+Roles and what they're allowed to do. Each role can do everything the role before it can, plus more.
+ */
+
+var PERMISSIONS = [
+  'create_transaction',
+  'take_payment',
+  'void_transaction',
+  'edit_catalog',
+  'merge_customers',
+  'delete_customers',
+  'view_reports',
+  'view_audit_log',
+  'manage_users'
+];
+
+var ROLES = ['volunteer', 'lead_mechanic', 'manager', 'admin'];
+
+var MATRIX = {
+  volunteer: ['create_transaction', 'take_payment'],
+  lead_mechanic: ['create_transaction', 'take_payment', 'void_transaction', 'edit_catalog'],
+  manager: ['create_transaction', 'take_payment', 'void_transaction', 'edit_catalog', 'merge_customers',
+    'delete_customers', 'view_reports'],
+  admin: PERMISSIONS
+};
+
+/**
+ * Checks whether a role has a permission.
+ * @param role - one of ROLES
+ * @param permission - one of PERMISSIONS
+ * @returns {boolean}
+ */
+var can = function (role, permission) {
+  return (MATRIX[role] || []).indexOf(permission) !== -1;
+};
+
+module.exports = {
+  PERMISSIONS: PERMISSIONS,
+  ROLES: ROLES,
+  MATRIX: MATRIX,
+  can: can
+};
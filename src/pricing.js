@@ -0,0 +1,167 @@
+var config = require('./config')();
+
+/*
+The pricing engine. Every total on a transaction comes out of here, computed from the snapshotted lines, so routes
+never do their own arithmetic on `total_cost`.
+
+Parts (items) are taxed, labor (repairs) isn't. A whole-transaction discount is split between parts and labor in
+proportion to their subtotals, so only the parts share of it reduces the tax.
+
+A transaction keeps the tax and discount rates it was first priced at in its breakdown, and is always repriced at
+those, so changing the rates in the config only affects new transactions.
+ */
+
+var PERCENTAGE_KINDS = ['student', 'employee', 'percentage'];
+var DISCOUNT_KINDS = PERCENTAGE_KINDS.concat(['fixed']);
+
+var round = function (amount) {
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * The rates to price a transaction at: the ones stored when it was first priced, or the configured ones if it hasn't
+ * been priced yet. Transactions priced before discount rates were stored get the configured discount rates.
+ * @param transaction - anything with an optional `price_breakdown`
+ * @returns {{tax_rate: number, discount_rates: {student: number, employee: number}}}
+ */
+var ratesFor = function (transaction) {
+  var stored = transaction.price_breakdown || {};
+  var priced = typeof stored.tax_rate === 'number';
+  var discounts = (priced && stored.discount_rates) || {};
+  var discountRate = function (kind) {
+    return typeof discounts[kind] === 'number' ? discounts[kind] : config.pricing.discounts[kind];
+  };
+  return {
+    tax_rate: priced ? stored.tax_rate : config.pricing.tax_rate,
+    discount_rates: {student: discountRate('student'), employee: discountRate('employee')}
+  };
+};
+
+/**
+ * Works out how much a discount takes off an amount. Student and employee discounts use the given rates, or the ones
+ * in the config; percentage discounts take `value` as a fraction (0.1 is 10%); fixed discounts take `value` in
+ * dollars.
+ * @param discount - {kind, value}, or nothing
+ * @param amount - the amount being discounted
+ * @param discountRates - {student, employee}, falling back to the configured rates
+ * @returns {number} never more than the amount itself
+ */
+var discountAmount = function (discount, amount, discountRates) {
+  if (!discount || !discount.kind) return 0;
+  var off;
+  if (discount.kind === 'fixed') {
+    off = discount.value || 0;
+  } else if (PERCENTAGE_KINDS.indexOf(discount.kind) !== -1) {
+    var rate = discount.value;
+    if (discount.kind !== 'percentage') {
+      rate = discountRates && typeof discountRates[discount.kind] === 'number' ?
+        discountRates[discount.kind] : config.pricing.discounts[discount.kind];
+    }
+    off = amount * (rate || 0);
+  } else {
+    off = 0;
+  }
+  return round(Math.min(Math.max(off, 0), amount));
+};
+
+/**
+ * Checks a discount sent by a client.
+ * @param discount - {kind, value, reason}
+ * @returns {string|null} what is wrong with the discount, or null if it's fine
+ */
+var validateDiscount = function (discount) {
+  if (!discount || typeof discount !== 'object') return 'Discount must be an object.';
+  if (DISCOUNT_KINDS.indexOf(discount.kind) === -1) {
+    return `Discount kind must be one of ${DISCOUNT_KINDS.join(', ')}.`;
+  }
+  if (discount.kind === 'percentage' && !(discount.value >= 0 && discount.value <= 1)) {
+    return 'Percentage discounts need a value between 0 and 1.';
+  }
+  if (discount.kind === 'fixed' && !(discount.value >= 0)) {
+    return 'Fixed discounts need a non-negative value.';
+  }
+  return null;
+};
+
+/**
+ * Prices a single line.
+ * @param line - item or repair line with price, quantity and optional discount
+ * @param discountRates - {student, employee}, defaults to the configured rates
+ * @returns {{gross: number, discount: number, net: number}}
+ */
+var priceLine = function (line, discountRates) {
+  var quantity = line.quantity === undefined || line.quantity === null ? 1 : line.quantity;
+  var gross = round((line.price || 0) * quantity);
+  var discount = discountAmount(line.discount, gross, discountRates);
+  return {gross: gross, discount: discount, net: round(gross - discount)};
+};
+
+var sumLines = function (lines, discountRates) {
+  return (lines || []).map(function (line) {
+    return priceLine(line, discountRates);
+  }).reduce(function (sum, line) {
+    return {
+      gross: sum.gross + line.gross,
+      discount: sum.discount + line.discount,
+      net: sum.net + line.net
+    };
+  }, {gross: 0, discount: 0, net: 0});
+};
+
+/**
+ * Computes the full price breakdown of a transaction, at the rates in its stored breakdown if it has one.
+ * @param transaction - anything with `items`, `repairs` and an optional `discount` and `price_breakdown`
+ * @returns {object} the breakdown, where `total` is what the customer owes
+ */
+var priceTransaction = function (transaction) {
+  var rates = ratesFor(transaction);
+  var parts = sumLines(transaction.items, rates.discount_rates);
+  var labor = sumLines(transaction.repairs, rates.discount_rates);
+
+  var subtotal = round(parts.net + labor.net);
+  var transactionDiscount = discountAmount(transaction.discount, subtotal, rates.discount_rates);
+  var partsShare = subtotal ? parts.net / subtotal : 0;
+  var taxable = round(parts.net - transactionDiscount * partsShare);
+  var tax = round(taxable * rates.tax_rate);
+
+  return {
+    parts_subtotal: round(parts.net),
+    labor_subtotal: round(labor.net),
+    line_discounts: round(parts.discount + labor.discount),
+    subtotal: subtotal,
+    transaction_discount: transactionDiscount,
+    discount_total: round(parts.discount + labor.discount + transactionDiscount),
+    taxable: taxable,
+    tax_rate: rates.tax_rate,
+    discount_rates: rates.discount_rates,
+    tax: tax,
+    total: round(subtotal - transactionDiscount + tax)
+  };
+};
+
+/**
+ * Totals the payments recorded against a transaction. Refunds are negative payments, so they raise the balance due.
+ * @param payments - list of {amount}
+ * @param total - what the transaction costs
+ * @returns {{amount_paid: number, balance_due: number, is_paid: boolean}}
+ */
+var summarizePayments = function (payments, total) {
+  var paid = round((payments || []).reduce(function (sum, payment) {
+    return sum + (payment.amount || 0);
+  }, 0));
+  var balance = round(total - paid);
+  return {
+    amount_paid: paid,
+    balance_due: balance,
+    is_paid: (payments || []).length > 0 && balance <= 0
+  };
+};
+
+module.exports = {
+  DISCOUNT_KINDS: DISCOUNT_KINDS,
+  validateDiscount: validateDiscount,
+  discountAmount: discountAmount,
+  priceLine: priceLine,
+  priceTransaction: priceTransaction,
+  summarizePayments: summarizePayments
+};
@@ -0,0 +1,148 @@
+var moment = require('moment');
+var pricing = require('./pricing');
+
+/*
+The customer's receipt for a transaction. `build` works out everything the receipt shows, so the HTML in
+email-receipt.pug, the plain-text part of the email and the preview route never disagree.
+
+Lines show what they cost before discounts, and the discounts are taken off together, so that subtotal - discounts +
+tax is the total. Amounts are formatted here, since the template and the text both show them the same way.
+ */
+
+var money = function (amount) {
+  amount = Math.round((amount || 0) * 100) / 100;
+  return (amount < 0 ? '-$' : '$') + Math.abs(amount).toFixed(2);
+};
+
+/**
+ * Describes one item or repair line. Lines from before prices were snapshotted may only have the catalog entry, so the
+ * name falls back to it. The price doesn't: the totals only count the line's own price, and the receipt has to add up
+ * (scripts/snapshot-line-prices.js gives old lines theirs).
+ * @param line - item or repair line of a transaction
+ * @param entry - the populated item or repair it was sold from, if any
+ * @param discountRates - the student and employee rates the transaction was priced at
+ * @returns {{name, quantity, unit_price, discount, amount}}
+ */
+var describeLine = function (line, entry, discountRates) {
+  entry = entry || {};
+  var price = line.price || 0;
+  var quantity = line.quantity === undefined || line.quantity === null ? 1 : line.quantity;
+  var priced = pricing.priceLine({price: price, quantity: quantity, discount: line.discount}, discountRates);
+  return {
+    name: line.name || entry.name || 'Unknown',
+    quantity: quantity,
+    unit_price: money(price),
+    discount: priced.discount ? money(-priced.discount) : null,
+    amount: money(priced.gross)
+  };
+};
+
+/**
+ * Works out what the receipt for a transaction shows.
+ * @param transaction - transaction with its customer and bikes populated
+ * @param date - when the receipt was made
+ * @returns {object} the receipt, with every amount formatted
+ */
+var build = function (transaction, date) {
+  var customer = transaction.customer || {};
+  var breakdown = transaction.price_breakdown && transaction.price_breakdown.total !== undefined ?
+    transaction.price_breakdown : pricing.priceTransaction(transaction);
+  var paid = pricing.summarizePayments(transaction.payments, breakdown.total);
+
+  return {
+    number: transaction._id,
+    date: moment(date).format('MMMM Do YYYY, h:mm:ss a'),
+    customer: {
+      name: [customer.first_name, customer.last_name].filter(Boolean).join(' '),
+      email: customer.email,
+      phone: customer.phone
+    },
+    bikes: (transaction.bikes || []).map(function (bike) {
+      return {
+        name: [bike.color, bike.make, bike.model].filter(Boolean).join(' ') || 'Bike',
+        serial_number: bike.serial_number,
+        description: bike.description
+      };
+    }),
+    items: (transaction.items || []).map(function (line) {
+      return describeLine(line, line.item, breakdown.discount_rates);
+    }),
+    repairs: (transaction.repairs || []).map(function (line) {
+      var repair = describeLine(line, line.repair, breakdown.discount_rates);
+      repair.completed = Boolean(line.completed);
+      return repair;
+    }),
+    subtotal: money(breakdown.subtotal + (breakdown.line_discounts || 0)),
+    discount: breakdown.discount_total ? money(-breakdown.discount_total) : null,
+    tax: money(breakdown.tax),
+    total: money(breakdown.total),
+    payments: (transaction.payments || []).map(function (payment) {
+      return {
+        label: (payment.amount < 0 ? 'Refund' : 'Payment') + (payment.method ? ` (${payment.method})` : ''),
+        date: moment(payment.date).format('MMM D YYYY'),
+        amount: money(payment.amount)
+      };
+    }),
+    amount_paid: money(paid.amount_paid),
+    balance_due: money(paid.balance_due)
+  };
+};
+
+/**
+ * Writes out a receipt as plain text, for mail clients which don't show HTML.
+ * @param receipt - a receipt from `build`
+ * @returns {string}
+ */
+var text = function (receipt) {
+  var width = 48;
+  var row = function (label, amount) {
+    var gap = Math.max(width - label.length - amount.length, 1);
+    return label + ' '.repeat(gap) + amount;
+  };
+  var lineRows = function (title, lines) {
+    if (!lines.length) return [];
+    var rows = ['', title];
+    lines.forEach(function (line) {
+      rows.push(row(`  ${line.quantity} x ${line.name} @ ${line.unit_price}`, line.amount));
+      if (line.discount) rows.push(row('    discount', line.discount));
+    });
+    return rows;
+  };
+
+  var rows = ['Your Rice Bikes receipt', `Transaction #${receipt.number}`, receipt.date];
+  if (receipt.customer.name) rows.push('', `Customer: ${receipt.customer.name}`);
+  receipt.bikes.forEach(function (bike) {
+    rows.push(`Bike: ${bike.name}${bike.serial_number ? ` (serial ${bike.serial_number})` : ''}`);
+  });
+  rows = rows.concat(lineRows('Items', receipt.items), lineRows('Repairs', receipt.repairs));
+  rows.push('', row('Subtotal', receipt.subtotal));
+  if (receipt.discount) rows.push(row('Discounts', receipt.discount));
+  rows.push(row('Tax', receipt.tax), row('Total', receipt.total));
+  if (receipt.payments.length) {
+    rows.push('');
+    receipt.payments.forEach(function (payment) {
+      rows.push(row(`${payment.label} ${payment.date}`, payment.amount));
+    });
+    rows.push(row('Paid', receipt.amount_paid));
+  }
+  rows.push(row('Balance due', receipt.balance_due));
+  rows.push('', 'Thank you for visiting Rice Bikes!', 'bikes.rice.edu');
+  return rows.join('\n') + '\n';
+};
+
+/**
+ * The locals to render email-receipt.pug with, including the plain-text part for the mailer.
+ * @param transaction - transaction with its customer and bikes populated
+ * @param date - when the receipt was made
+ * @returns {{receipt: object, text: string}}
+ */
+var locals = function (transaction, date) {
+  var receipt = build(transaction, date);
+  return {receipt: receipt, text: text(receipt)};
+};
+
+module.exports = {
+  build: build,
+  text: text,
+  locals: locals
+};
@@ -0,0 +1,136 @@
+var Transaction = require('./models/Transaction');
+var Customer = require('./models/Customer');
+var Bike = require('./models/Bike');
+
+/*
+Transaction search, done in the database.
+
+The query is split into words, and a transaction matches when every word matches at least one of: its number, its
+customer's name or email, one of its bikes' make, model, serial number or description, or its own description. So
+"jane trek" finds Jane's Trek. Matches are ranked by where the words matched, then by newest first:
+
+    transaction number  10
+    customer             5
+    bike                 3
+    description          1
+ */
+
+var MAX_TERMS = 5;
+
+var escapeRegExp = function (str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Finds the IDs of the customers and bikes matching one word of the query.
+ * @param term - a word of the query
+ * @param cb - called with (err, {term, regex, number, customers, bikes})
+ */
+var matchTerm = function (term, cb) {
+  var regex = new RegExp(escapeRegExp(term), 'i');
+  var number = /^#?\d+$/.test(term) ? parseInt(term.replace('#', ''), 10) : null;
+  Customer.find({$or: [{first_name: regex}, {last_name: regex}, {email: regex}]}, {_id: 1}, function (err, customers) {
+    if (err) return cb(err);
+    var bikeQuery = {$or: [{make: regex}, {model: regex}, {serial_number: regex}, {description: regex}]};
+    Bike.find(bikeQuery, {_id: 1}, function (err, bikes) {
+      if (err) return cb(err);
+      cb(null, {
+        term: term,
+        regex: regex,
+        number: number,
+        customers: customers.map(function (c) {
+          return c._id;
+        }),
+        bikes: bikes.map(function (b) {
+          return b._id;
+        })
+      });
+    });
+  });
+};
+
+/**
+ * Builds the filter for one matched word.
+ */
+var termFilter = function (match) {
+  var or = [
+    {customer: {$in: match.customers}},
+    {bikes: {$in: match.bikes}},
+    {description: match.regex}
+  ];
+  if (match.number !== null) or.push({_id: match.number});
+  return {$or: or};
+};
+
+/**
+ * Builds the aggregation expression scoring one matched word. The description is matched the way the filter's regex
+ * matches it, as a substring ignoring case, since MongoDB 3.6 has no regex expressions.
+ */
+var termScore = function (match) {
+  return {
+    $add: [
+      {$cond: [{$eq: ['$_id', match.number]}, 10, 0]},
+      {$cond: [{$in: ['$customer', match.customers]}, 5, 0]},
+      {$cond: [{$gt: [{$size: {$setIntersection: [{$ifNull: ['$bikes', []]}, match.bikes]}}, 0]}, 3, 0]},
+      {$cond: [{$gte: [{$indexOfCP: [{$toLower: '$description'}, match.term.toLowerCase()]}, 0]}, 1, 0]}
+    ]
+  };
+};
+
+/**
+ * Searches transactions.
+ * @param q - the search query
+ * @param paging - {skip, limit}
+ * @param cb - called with (err, {transactions, total}), transactions being the page of results in rank order
+ */
+var searchTransactions = function (q, paging, cb) {
+  var terms = String(q || '').trim().split(/\s+/).filter(Boolean).slice(0, MAX_TERMS);
+  if (!terms.length) return cb(null, {transactions: [], total: 0});
+
+  var matches = [];
+  var next = function (i) {
+    if (i < terms.length) {
+      return matchTerm(terms[i], function (err, match) {
+        if (err) return cb(err);
+        matches.push(match);
+        next(i + 1);
+      });
+    }
+
+    var filter = {voided: {$ne: true}, $and: matches.map(termFilter)};
+    Transaction.count(filter, function (err, total) {
+      if (err) return cb(err);
+      Transaction.aggregate([
+        {$match: filter},
+        {$project: {date_created: 1, score: {$add: matches.map(termScore)}}},
+        {$sort: {score: -1, date_created: -1, _id: -1}},
+        {$skip: paging.skip},
+        {$limit: paging.limit}
+      ]).exec(function (err, ranked) {
+        if (err) return cb(err);
+        var ids = ranked.map(function (r) {
+          return r._id;
+        });
+        // load the full, populated transactions, then put them back in rank order
+        Transaction.find({_id: {$in: ids}}, function (err, transactions) {
+          if (err) return cb(err);
+          var byId = {};
+          transactions.forEach(function (t) {
+            byId[t._id] = t;
+          });
+          cb(null, {
+            transactions: ids.map(function (id) {
+              return byId[id];
+            }).filter(Boolean),
+            total: total
+          });
+        });
+      });
+    });
+  };
+  next(0);
+};
+
+module.exports = {
+  searchTransactions: searchTransactions
+};
@@ -1,6 +1,10 @@
 var app = require('./app');
-var port = process.env.PORT || 3000;
+var outbox = require('./outbox');
+var port = require('./config')().port;
 
 var server = app.listen(port, function () {
   console.log('Rice Bikes backend listening on port ' + port);
-});
\ No newline at end of file
+});
+
+/* Send queued email in the background - see outbox.js */
+outbox.start(app);
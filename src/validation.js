@@ -0,0 +1,132 @@
+/*
+Request body validation. Every route which creates or changes something declares the fields it accepts as a schema,
+and ValidationMiddleware checks the body against it before the handler runs:
+
+    {
+      name: {type: 'string', required: true},
+      price: {type: 'number', min: 0},
+      customer: {type: 'object', schema: {email: {type: 'email'}}}
+    }
+
+Types:
+    string      trimmed; `enum` lists the allowed values, `max` the longest length
+    number      a number, or a string of one; `min`, `max`, `positive` and `integer` narrow it down
+    boolean     true or false
+    email       an email address, trimmed and lowercased
+    objectId    a Mongo ObjectId
+    ref         an ObjectId, or a populated document with one in `_id`, sent on as the ObjectId
+    object      a nested object, checked against its own `schema`
+
+Any rule can be `required`, and `nullable` to let null through (which clears the field). Fields missing from the
+schema are rejected, unless it's used with {unknown: 'strip'} to drop them instead. Routes which clients may send a
+whole document to, like updates, strip; an object rule can say the same for just its own fields with `unknown`.
+Problems are reported like query errors: a list of messages, each starting with the field it's about.
+ */
+
+var OBJECT_ID = /^[0-9a-f]{24}$/i;
+var EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// the auth middleware accepts the token in the body too
+var IGNORED = ['token'];
+
+var isObjectId = function (value) {
+  return typeof value === 'string' && OBJECT_ID.test(value);
+};
+
+var isPlainObject = function (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+// checks a value of each type, calling back with (problem) or (null, cleaned value)
+var TYPES = {
+  string: function (rule, value, field, options, cb) {
+    if (typeof value !== 'string') return cb(`${field} must be a string.`);
+    value = value.trim();
+    if (rule.enum && rule.enum.indexOf(value) === -1) return cb(`${field} must be one of ${rule.enum.join(', ')}.`);
+    if (rule.max !== undefined && value.length > rule.max) {
+      return cb(`${field} must be at most ${rule.max} characters.`);
+    }
+    if (rule.required && !value) return cb(`${field} can't be blank.`);
+    cb(null, value);
+  },
+
+  number: function (rule, value, field, options, cb) {
+    var number = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof number !== 'number' || !isFinite(number)) return cb(`${field} must be a number.`);
+    if (rule.integer && number % 1 !== 0) return cb(`${field} must be a whole number.`);
+    if (rule.positive && !(number > 0)) return cb(`${field} must be positive.`);
+    if (rule.min !== undefined && number < rule.min) return cb(`${field} must be at least ${rule.min}.`);
+    if (rule.max !== undefined && number > rule.max) return cb(`${field} must be at most ${rule.max}.`);
+    cb(null, number);
+  },
+
+  boolean: function (rule, value, field, options, cb) {
+    if (typeof value !== 'boolean') return cb(`${field} must be true or false.`);
+    cb(null, value);
+  },
+
+  email: function (rule, value, field, options, cb) {
+    if (typeof value !== 'string' || !EMAIL.test(value.trim())) return cb(`${field} must be an email address.`);
+    cb(null, value.trim().toLowerCase());
+  },
+
+  objectId: function (rule, value, field, options, cb) {
+    if (!isObjectId(value)) return cb(`${field} must be an ID.`);
+    cb(null, value);
+  },
+
+  ref: function (rule, value, field, options, cb) {
+    var id = isPlainObject(value) ? value._id : value;
+    if (!isObjectId(id)) return cb(`${field} must be an ID.`);
+    cb(null, id);
+  },
+
+  object: function (rule, value, field, options, cb) {
+    if (!isPlainObject(value)) return cb(`${field} must be an object.`);
+    var result = checkFields(rule.schema, value, field + '.', rule.unknown ? {unknown: rule.unknown} : options);
+    if (result.errors) return cb(result.errors);
+    cb(null, result.value);
+  }
+};
+
+var checkValue = function (rule, value, field, options, cb) {
+  if (value === null && rule.nullable) return cb(null, null);
+  if (value === undefined || value === null) return cb(rule.required ? `${field} is required.` : null);
+  TYPES[rule.type](rule, value, field, options, cb);
+};
+
+var checkFields = function (schema, body, prefix, options) {
+  var problems = [];
+  var value = {};
+
+  Object.keys(body).forEach(function (field) {
+    if (schema[field] || !prefix && IGNORED.indexOf(field) !== -1) return;
+    if (options.unknown !== 'strip') problems.push(`Unknown field ${prefix}${field}.`);
+  });
+
+  Object.keys(schema).forEach(function (field) {
+    checkValue(schema[field], body[field], prefix + field, options, function (problem, cleaned) {
+      if (problem) problems = problems.concat(problem);
+      else if (cleaned !== undefined) value[field] = cleaned;
+    });
+  });
+
+  if (problems.length) return {errors: problems};
+  return {value: value};
+};
+
+/**
+ * Checks a request body against a schema.
+ * @param schema - the fields the route accepts, as described above
+ * @param body - req.body
+ * @param options - {unknown: 'strip'} to drop fields which aren't in the schema instead of rejecting them
+ * @returns {object} {errors} listing every problem, or {value} holding only the schema's fields, cleaned up
+ */
+var check = function (schema, body, options) {
+  if (!isPlainObject(body)) return {errors: ['The body must be a JSON object.']};
+  return checkFields(schema, body, '', options || {});
+};
+
+module.exports = {
+  check: check,
+  isObjectId: isObjectId
+};
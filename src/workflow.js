@@ -0,0 +1,52 @@
+/*
+The repair workflow. A transaction moves through these statuses, and only along the transitions below:
+
+    intake -> in_progress -> waiting_part -> ready -> picked_up
+                   ^               |
+                   +---------------+
+
+Anything that isn't picked up can be cancelled, and a cancelled transaction can be reopened back to intake. The old
+booleans (`complete`, `waiting_part`, `waiting_email`) are derived from the status so they can't contradict it.
+ */
+
+var STATUSES = ['intake', 'in_progress', 'waiting_part', 'ready', 'picked_up', 'cancelled'];
+
+var TRANSITIONS = {
+  intake: ['in_progress', 'waiting_part', 'ready', 'cancelled'],
+  in_progress: ['waiting_part', 'ready', 'cancelled'],
+  waiting_part: ['in_progress', 'ready', 'cancelled'],
+  ready: ['in_progress', 'picked_up', 'cancelled'],
+  picked_up: [],
+  cancelled: ['intake']
+};
+
+/**
+ * Checks whether a transaction may move from one status to another.
+ * @param from - current status
+ * @param to - requested status
+ * @returns {string|null} why the transition isn't allowed, or null if it is
+ */
+var checkTransition = function (from, to) {
+  if (STATUSES.indexOf(to) === -1) return `Status must be one of ${STATUSES.join(', ')}.`;
+  if ((TRANSITIONS[from] || []).indexOf(to) === -1) return `Can't go from ${from} to ${to}.`;
+  return null;
+};
+
+/**
+ * Works out the legacy boolean flags for a status.
+ * @param status - a status
+ * @returns {{complete: boolean, waiting_part: boolean}}
+ */
+var flagsFor = function (status) {
+  return {
+    complete: status === 'ready' || status === 'picked_up',
+    waiting_part: status === 'waiting_part'
+  };
+};
+
+module.exports = {
+  STATUSES: STATUSES,
+  TRANSITIONS: TRANSITIONS,
+  checkTransition: checkTransition,
+  flagsFor: flagsFor
+};
@@ -0,0 +1,107 @@
+var assert = require('assert');
+var jwt = require('jsonwebtoken');
+var helpers = require('./helpers');
+
+var request = helpers.request;
+
+describe('app', function () {
+  beforeEach(helpers.reset);
+
+  it('404s on unknown routes', function (done) {
+    request().get('/api/nothing-here').expect(404).end(function (err, res) {
+      if (err) return done(err);
+      assert.equal(res.body.success, false);
+      assert.equal(res.body.code, 'not_found');
+      assert.equal(res.body.message, 'No route for GET /api/nothing-here.');
+      done();
+    });
+  });
+
+  it('sends the request ID with errors', function (done) {
+    request().get('/api/nothing-here').set('X-Request-Id', 'abc-123').expect(404)
+      .expect('X-Request-Id', 'abc-123').end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.request_id, 'abc-123');
+        done();
+      });
+  });
+
+  it('makes up a request ID when the one given is not usable', function (done) {
+    request().get('/api/nothing-here').set('X-Request-Id', 'not an id!').expect(404).end(function (err, res) {
+      if (err) return done(err);
+      assert.ok(/^[0-9a-f]{16}$/.test(res.headers['x-request-id']));
+      assert.equal(res.body.request_id, res.headers['x-request-id']);
+      done();
+    });
+  });
+
+  it('400s on a body which is not valid JSON', function (done) {
+    helpers.login('parser', 'volunteer', function (err, login) {
+      if (err) return done(err);
+      request().post('/api/customers').set('x-access-token', login.token).type('json').send('{"first_name": ')
+        .expect(400).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.code, 'bad_request');
+          done();
+        });
+    });
+  });
+
+  describe('without a token', function () {
+    [
+      ['get', '/api/transactions'],
+      ['post', '/api/transactions'],
+      ['get', '/api/transactions/1'],
+      ['get', '/api/users'],
+      ['get', '/api/items/low-stock'],
+      ['post', '/api/items'],
+      ['get', '/api/repairs'],
+      ['get', '/api/customers'],
+      ['get', '/api/bikes'],
+      ['get', '/api/drawers'],
+      ['get', '/api/audit'],
+      ['get', '/api/reports/backlog'],
+      ['post', '/api/auth/logout']
+    ].forEach(function (route) {
+      it(`401s on ${route[0].toUpperCase()} ${route[1]}`, function (done) {
+        request()[route[0]](route[1]).expect(401).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.success, false);
+          assert.equal(res.body.code, 'unauthorized');
+          assert.equal(res.body.message, 'No token provided.');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('with a bad token', function () {
+    it('401s on a token signed with another secret', function (done) {
+      var token = jwt.sign({data: {user: 'someone'}, sid: helpers.missingId()}, 'not the secret');
+      request().get('/api/customers').set('x-access-token', token).expect(401).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.message, 'Failed to authenticate token');
+        done();
+      });
+    });
+
+    it('401s on an expired token', function (done) {
+      helpers.login('expired', 'admin', function (err, login) {
+        if (err) return done(err);
+        var token = jwt.sign({data: login.session.cas_data, sid: login.session._id}, helpers.config.secret, {
+          expiresIn: -1
+        });
+        request().get('/api/customers').set('x-access-token', token).expect(401).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.message, 'Token expired');
+          done();
+        });
+      });
+    });
+
+    it('401s on a token without a session', function (done) {
+      var token = jwt.sign({data: {user: 'someone'}}, helpers.config.secret);
+      request().get('/api/customers').set('x-access-token', token).expect(401, done);
+    });
+  });
+});
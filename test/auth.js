@@ -0,0 +1,157 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var User = require('../src/models/User');
+
+var request = helpers.request;
+
+/**
+ * Logs in to the fake CAS server, like the browser would, and gets the ticket it redirects back with.
+ * @param netid - netID to log in as
+ * @param cb - called with (err, ticket)
+ */
+var casTicket = function (netid, cb) {
+  request().get('/dev/cas/login').query({netid: netid}).expect(302).end(function (err, res) {
+    if (err) return cb(err);
+    cb(null, res.headers.location.match(/ticket=([^&]+)/)[1]);
+  });
+};
+
+describe('AuthController', function () {
+  var server;
+
+  // tickets are validated over HTTP against the fake CAS server, so the app has to be listening on its port
+  before(function (done) {
+    server = helpers.app.listen(helpers.config.port, done);
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(helpers.reset);
+
+  describe('GET /api/auth', function () {
+    it('400s without a ticket', function (done) {
+      request().get('/api/auth').expect(400, done);
+    });
+
+    it('logs a user in with a valid ticket', function (done) {
+      User.create({username: 'casuser', role: 'manager'}, function (err) {
+        if (err) return done(err);
+        casTicket('casuser', function (err, ticket) {
+          if (err) return done(err);
+          request().get('/api/auth').query({ticket: ticket}).expect(200).end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.success, true);
+            assert.equal(res.body.user.username, 'casuser');
+            assert.equal(res.body.user.role, 'manager');
+            assert.ok(res.body.user.permissions.indexOf('view_reports') !== -1);
+            assert.ok(res.body.user.token);
+            assert.ok(res.body.user.refresh_token);
+
+            // and the token works
+            request().get('/api/customers').set('x-access-token', res.body.user.token).expect(200, done);
+          });
+        });
+      });
+    });
+
+    it('401s when the netID is not a user', function (done) {
+      casTicket('casuser', function (err, ticket) {
+        if (err) return done(err);
+        request().get('/api/auth').query({ticket: ticket}).expect(401).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.success, false);
+          done();
+        });
+      });
+    });
+
+    it('401s when the user is deactivated', function (done) {
+      User.create({username: 'casuser', role: 'volunteer', active: false}, function (err) {
+        if (err) return done(err);
+        casTicket('casuser', function (err, ticket) {
+          if (err) return done(err);
+          request().get('/api/auth').query({ticket: ticket}).expect(401, done);
+        });
+      });
+    });
+
+    it('401s on a ticket CAS does not recognize', function (done) {
+      request().get('/api/auth').query({ticket: 'ST-made-up'}).expect(401).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.message, 'CAS authentication failed');
+        done();
+      });
+    });
+
+    it('401s when a ticket is used twice', function (done) {
+      User.create({username: 'casuser', role: 'volunteer'}, function (err) {
+        if (err) return done(err);
+        casTicket('casuser', function (err, ticket) {
+          if (err) return done(err);
+          request().get('/api/auth').query({ticket: ticket}).expect(200).end(function (err) {
+            if (err) return done(err);
+            request().get('/api/auth').query({ticket: ticket}).expect(401, done);
+          });
+        });
+      });
+    });
+  });
+
+  describe('POST /api/auth/refresh', function () {
+    var login;
+
+    beforeEach(function (done) {
+      helpers.login('refresher', 'volunteer', function (err, result) {
+        login = result;
+        done(err);
+      });
+    });
+
+    it('swaps a refresh token for new tokens', function (done) {
+      request().post('/api/auth/refresh').send({refresh_token: login.refresh_token}).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.ok(res.body.token);
+          assert.ok(res.body.refresh_token);
+          assert.notEqual(res.body.refresh_token, login.refresh_token);
+          done();
+        });
+    });
+
+    it('401s when a refresh token is reused', function (done) {
+      request().post('/api/auth/refresh').send({refresh_token: login.refresh_token}).expect(200).end(function (err) {
+        if (err) return done(err);
+        request().post('/api/auth/refresh').send({refresh_token: login.refresh_token}).expect(401, done);
+      });
+    });
+
+    it('401s without a refresh token', function (done) {
+      request().post('/api/auth/refresh').send({}).expect(401, done);
+    });
+
+    it('401s when the user has been deactivated', function (done) {
+      User.update({username: 'refresher'}, {active: false}, function (err) {
+        if (err) return done(err);
+        request().post('/api/auth/refresh').send({refresh_token: login.refresh_token}).expect(401, done);
+      });
+    });
+  });
+
+  describe('POST /api/auth/logout', function () {
+    it('ends the session, so its token stops working', function (done) {
+      helpers.login('leaver', 'volunteer', function (err, login) {
+        if (err) return done(err);
+        request().post('/api/auth/logout').set('x-access-token', login.token).expect(200).end(function (err) {
+          if (err) return done(err);
+          request().get('/api/customers').set('x-access-token', login.token).expect(401).end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.message, 'Session has ended');
+            request().post('/api/auth/refresh').send({refresh_token: login.refresh_token}).expect(401, done);
+          });
+        });
+      });
+    });
+  });
+});
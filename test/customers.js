@@ -0,0 +1,246 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var Bike = require('../src/models/Bike');
+var Customer = require('../src/models/Customer');
+var Transaction = require('../src/models/Transaction');
+
+var request = helpers.request;
+
+describe('CustomerController', function () {
+  var as = {};
+  var jane;
+
+  beforeEach(helpers.reset);
+  helpers.loginAs(as, ['volunteer', 'manager']);
+
+  beforeEach(function (done) {
+    Customer.create({first_name: 'Jane', last_name: 'Doe', email: 'jane@rice.edu'}, function (err, created) {
+      jane = created;
+      done(err);
+    });
+  });
+
+  describe('GET /api/customers/search', function () {
+    it('finds customers', function (done) {
+      request().get('/api/customers/search').query({q: 'jane'}).set('x-access-token', as.volunteer).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.length, 1);
+          assert.equal(res.body[0].email, 'jane@rice.edu');
+          done();
+        });
+    });
+
+    it('401s without a token', function (done) {
+      request().get('/api/customers/search').query({q: 'jane'}).expect(401, done);
+    });
+  });
+
+  describe('GET /api/customers', function () {
+    it('lists customers by name', function (done) {
+      Customer.create({first_name: 'Abe', last_name: 'Able'}, function (err) {
+        if (err) return done(err);
+        request().get('/api/customers').set('x-access-token', as.volunteer).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.deepEqual(res.body.map(function (c) {
+            return c.last_name;
+          }), ['Able', 'Doe']);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('POST /api/customers', function () {
+    it('creates a customer', function (done) {
+      request().post('/api/customers').set('x-access-token', as.volunteer)
+        .send({first_name: 'John', last_name: 'Roe', email: 'John@Rice.edu ', phone: '713-555-0100'})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.email, 'john@rice.edu');
+          assert.equal(res.body.phone, '713-555-0100');
+          done();
+        });
+    });
+
+    it('409s with the existing customer when the email is taken', function (done) {
+      request().post('/api/customers').set('x-access-token', as.volunteer)
+        .send({first_name: 'Janet', email: 'JANE@rice.edu'}).expect(409).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.code, 'conflict');
+          assert.equal(res.body.details.customer._id, String(jane._id));
+          done();
+        });
+    });
+  });
+
+  describe('GET /api/customers/:id', function () {
+    it('gets a customer', function (done) {
+      request().get(`/api/customers/${jane._id}`).set('x-access-token', as.volunteer).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.first_name, 'Jane');
+          done();
+        });
+    });
+
+    it('404s on a missing customer', function (done) {
+      request().get(`/api/customers/${helpers.missingId()}`).set('x-access-token', as.volunteer).expect(404, done);
+    });
+
+    it('400s on a malformed id', function (done) {
+      request().get('/api/customers/jane').set('x-access-token', as.volunteer).expect(400).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.message, 'id must be an ID.');
+        done();
+      });
+    });
+  });
+
+  describe('PUT /api/customers/:id', function () {
+    it('updates a customer', function (done) {
+      request().put(`/api/customers/${jane._id}`).set('x-access-token', as.volunteer)
+        .send({phone: '713-555-0199', notes: 'Prefers texts'}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.phone, '713-555-0199');
+          assert.equal(res.body.notes, 'Prefers texts');
+          assert.equal(res.body.email, 'jane@rice.edu');
+          done();
+        });
+    });
+
+    it('ignores fields which clients can not set', function (done) {
+      request().put(`/api/customers/${jane._id}`).set('x-access-token', as.volunteer)
+        .send({phone: '713-555-0199', _id: helpers.missingId(), __v: 7}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body._id, String(jane._id));
+          done();
+        });
+    });
+
+    it("409s when changing to another customer's email", function (done) {
+      Customer.create({first_name: 'John', email: 'john@rice.edu'}, function (err) {
+        if (err) return done(err);
+        request().put(`/api/customers/${jane._id}`).set('x-access-token', as.volunteer)
+          .send({email: 'john@rice.edu'}).expect(409, done);
+      });
+    });
+
+    it('404s on a missing customer', function (done) {
+      request().put(`/api/customers/${helpers.missingId()}`).set('x-access-token', as.volunteer)
+        .send({phone: '713-555-0199'}).expect(404, done);
+    });
+  });
+
+  describe('GET /api/customers/:id/transactions', function () {
+    it("lists the customer's transactions, leaving out voided ones", function (done) {
+      Transaction.create([
+        {date_created: Date.now(), customer: jane._id},
+        {date_created: Date.now(), customer: jane._id, voided: true}
+      ], function (err) {
+        if (err) return done(err);
+        request().get(`/api/customers/${jane._id}/transactions`).set('x-access-token', as.volunteer).expect(200)
+          .end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.length, 1);
+            done();
+          });
+      });
+    });
+  });
+
+  describe('DELETE /api/customers/:id', function () {
+    it('deletes a customer, keeping their bikes without an owner', function (done) {
+      Bike.create({make: 'Trek', customer: jane._id}, function (err, bike) {
+        if (err) return done(err);
+        request().delete(`/api/customers/${jane._id}`).set('x-access-token', as.manager).expect(200)
+          .end(function (err) {
+            if (err) return done(err);
+            Customer.findById(jane._id, function (err, gone) {
+              if (err) return done(err);
+              assert.equal(gone, null);
+              Bike.findById(bike._id, function (err, kept) {
+                if (err) return done(err);
+                assert.equal(kept.customer, undefined);
+                done();
+              });
+            });
+          });
+      });
+    });
+
+    it('409s while the customer has transactions', function (done) {
+      Transaction.create({date_created: Date.now(), customer: jane._id}, function (err) {
+        if (err) return done(err);
+        request().delete(`/api/customers/${jane._id}`).set('x-access-token', as.manager).expect(409, done);
+      });
+    });
+
+    it('404s on a missing customer', function (done) {
+      request().delete(`/api/customers/${helpers.missingId()}`).set('x-access-token', as.manager)
+        .expect(404, done);
+    });
+
+    it('403s without the delete_customers permission', function (done) {
+      request().delete(`/api/customers/${jane._id}`).set('x-access-token', as.volunteer).expect(403, done);
+    });
+  });
+
+  describe('POST /api/customers/:id/merge', function () {
+    var duplicate;
+
+    beforeEach(function (done) {
+      Customer.create({first_name: 'Jane', last_name: 'Doe', phone: '713-555-0100'}, function (err, created) {
+        duplicate = created;
+        done(err);
+      });
+    });
+
+    it('moves the transactions and bikes of the duplicate over and removes it', function (done) {
+      Transaction.create({date_created: Date.now(), customer: duplicate._id}, function (err, transaction) {
+        if (err) return done(err);
+        Bike.create({make: 'Trek', customer: duplicate._id}, function (err, bike) {
+          if (err) return done(err);
+          request().post(`/api/customers/${jane._id}/merge`).set('x-access-token', as.manager)
+            .send({duplicate_id: duplicate._id}).expect(200).end(function (err, res) {
+              if (err) return done(err);
+              assert.equal(res.body.phone, '713-555-0100');
+              Transaction.collection.findOne({_id: transaction._id}, function (err, moved) {
+                if (err) return done(err);
+                assert.equal(String(moved.customer), String(jane._id));
+                Bike.findById(bike._id, function (err, movedBike) {
+                  if (err) return done(err);
+                  assert.equal(String(movedBike.customer), String(jane._id));
+                  Customer.findById(duplicate._id, function (err, gone) {
+                    if (err) return done(err);
+                    assert.equal(gone, null);
+                    done();
+                  });
+                });
+              });
+            });
+        });
+      });
+    });
+
+    it('400s without a duplicate_id', function (done) {
+      request().post(`/api/customers/${jane._id}/merge`).set('x-access-token', as.manager).send({})
+        .expect(400, done);
+    });
+
+    it('400s when merging a customer into itself', function (done) {
+      request().post(`/api/customers/${jane._id}/merge`).set('x-access-token', as.manager)
+        .send({duplicate_id: String(jane._id)}).expect(400, done);
+    });
+
+    it('404s on a missing duplicate', function (done) {
+      request().post(`/api/customers/${jane._id}/merge`).set('x-access-token', as.manager)
+        .send({duplicate_id: helpers.missingId()}).expect(404, done);
+    });
+
+    it('403s without the merge_customers permission', function (done) {
+      request().post(`/api/customers/${jane._id}/merge`).set('x-access-token', as.volunteer)
+        .send({duplicate_id: duplicate._id}).expect(403, done);
+    });
+  });
+});
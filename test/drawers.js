@@ -0,0 +1,197 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var Customer = require('../src/models/Customer');
+var Drawer = require('../src/models/Drawer');
+var Transaction = require('../src/models/Transaction');
+
+var request = helpers.request;
+
+describe('DrawerController', function () {
+  var as = {};
+  var transaction;
+
+  beforeEach(helpers.reset);
+  helpers.loginAs(as, ['volunteer']);
+
+  // a $30 repair, with no tax on labor
+  beforeEach(function (done) {
+    Customer.create({first_name: 'Jane', email: 'jane@rice.edu'}, function (err, jane) {
+      if (err) return done(err);
+      Transaction.create({
+        date_created: Date.now(),
+        customer: jane._id,
+        repairs: [{name: 'Flat fix', price: 30, completed: false}]
+      }, function (err, created) {
+        transaction = created;
+        done(err);
+      });
+    });
+  });
+
+  var open = function (done) {
+    request().post('/api/drawers').set('x-access-token', as.volunteer).send({starting_amount: 100}).expect(200, done);
+  };
+
+  var pay = function (amount, method, done) {
+    request().post(`/api/transactions/${transaction._id}/payments`).set('x-access-token', as.volunteer)
+      .send({amount: amount, method: method}).expect(200, done);
+  };
+
+  describe('POST /api/drawers', function () {
+    it('opens a drawer with its starting float', function (done) {
+      request().post('/api/drawers').set('x-access-token', as.volunteer).send({starting_amount: 100}).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.is_open, true);
+          assert.equal(res.body.starting_amount, 100);
+          assert.equal(res.body.opened_by, 'test_volunteer');
+          done();
+        });
+    });
+
+    it('409s when a drawer is already open', function (done) {
+      open(function (err) {
+        if (err) return done(err);
+        request().post('/api/drawers').set('x-access-token', as.volunteer).send({starting_amount: 50})
+          .expect(409, done);
+      });
+    });
+
+    it('400s without a starting amount', function (done) {
+      request().post('/api/drawers').set('x-access-token', as.volunteer).send({}).expect(400, done);
+    });
+  });
+
+  describe('paying while a drawer is open', function () {
+    beforeEach(open);
+
+    it('attaches the transaction to the drawer', function (done) {
+      pay(30, 'cash', function (err) {
+        if (err) return done(err);
+        request().get('/api/drawers/current').set('x-access-token', as.volunteer).expect(200)
+          .end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.transactions.length, 1);
+            assert.equal(res.body.transactions[0]._id, transaction._id);
+            done();
+          });
+      });
+    });
+
+    it('attaches a transaction once however many payments it takes', function (done) {
+      pay(10, 'cash', function (err) {
+        if (err) return done(err);
+        pay(20, 'card', function (err) {
+          if (err) return done(err);
+          Drawer.findOne({is_open: true}, function (err, drawer) {
+            if (err) return done(err);
+            assert.deepEqual(drawer.transactions.toObject(), [transaction._id]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('POST /api/drawers/current/close', function () {
+    beforeEach(open);
+
+    var close = function (amount, cb) {
+      request().post('/api/drawers/current/close').set('x-access-token', as.volunteer).send({ending_amount: amount})
+        .expect(200).end(cb);
+    };
+
+    it('expects the float plus the cash taken, leaving out other methods', function (done) {
+      pay(20, 'cash', function (err) {
+        if (err) return done(err);
+        pay(10, 'card', function (err) {
+          if (err) return done(err);
+          close(120, function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.is_open, false);
+            assert.equal(res.body.expected_amount, 120);
+            assert.equal(res.body.difference, 0);
+            assert.equal(res.body.closed_by, 'test_volunteer');
+            done();
+          });
+        });
+      });
+    });
+
+    it('takes cash refunds out of what it expects', function (done) {
+      pay(30, 'cash', function (err) {
+        if (err) return done(err);
+        request().post(`/api/transactions/${transaction._id}/refunds`).set('x-access-token', as.volunteer)
+          .send({amount: 5, method: 'cash', reason: 'Overcharged'}).expect(200).end(function (err) {
+            if (err) return done(err);
+            close(125, function (err, res) {
+              if (err) return done(err);
+              assert.equal(res.body.expected_amount, 125);
+              done();
+            });
+          });
+      });
+    });
+
+    it('records the drawer as over', function (done) {
+      pay(30, 'cash', function (err) {
+        if (err) return done(err);
+        close(135.5, function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.difference, 5.5);
+          done();
+        });
+      });
+    });
+
+    it('records the drawer as short', function (done) {
+      pay(30, 'cash', function (err) {
+        if (err) return done(err);
+        close(120, function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.difference, -10);
+          done();
+        });
+      });
+    });
+
+    it('409s while a complete transaction is unpaid', function (done) {
+      Transaction.update({_id: transaction._id}, {complete: true}, function (err) {
+        if (err) return done(err);
+        request().post('/api/drawers/current/close').set('x-access-token', as.volunteer).send({ending_amount: 100})
+          .expect(409, done);
+      });
+    });
+
+    it("doesn't wait on a complete transaction which costs nothing", function (done) {
+      Transaction.create({date_created: Date.now(), repairs: [{name: 'Warranty fix', price: 0}]}, function (err, free) {
+        if (err) return done(err);
+        Transaction.update({_id: {$in: [transaction._id, free._id]}}, {complete: true}, {multi: true}, function (err) {
+          if (err) return done(err);
+          pay(30, 'cash', function (err) {
+            if (err) return done(err);
+            close(130, function (err, res) {
+              if (err) return done(err);
+              assert.equal(res.body.difference, 0);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('404s when no drawer is open', function (done) {
+      close(100, function (err) {
+        if (err) return done(err);
+        request().post('/api/drawers/current/close').set('x-access-token', as.volunteer).send({ending_amount: 100})
+          .expect(404, done);
+      });
+    });
+  });
+
+  describe('GET /api/drawers/:id', function () {
+    it('404s on a missing drawer', function (done) {
+      request().get(`/api/drawers/${helpers.missingId()}`).set('x-access-token', as.volunteer).expect(404, done);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var Customer = require('../src/models/Customer');
+var Email = require('../src/models/Email');
+var Transaction = require('../src/models/Transaction');
+var outbox = require('../src/outbox');
+
+var request = helpers.request;
+var mail = helpers.mail;
+
+describe('EmailController', function () {
+  var as = {};
+  var transaction, email;
+
+  beforeEach(helpers.reset);
+  helpers.loginAs(as, ['volunteer']);
+
+  // a receipt which failed on its only attempt
+  beforeEach(function (done) {
+    Customer.create({first_name: 'Jane', email: 'jane@rice.edu'}, function (err, jane) {
+      if (err) return done(err);
+      Transaction.create({date_created: Date.now(), customer: jane._id}, function (err, created) {
+        if (err) return done(err);
+        outbox.queue(created, 'receipt', function (err, saved) {
+          if (err) return done(err);
+          transaction = saved;
+          Email.findOneAndUpdate({}, {status: 'failed', attempts: 5, last_error: 'SMTP is down'}, {new: true},
+            function (err, failed) {
+              email = failed;
+              done(err);
+            });
+        });
+      });
+    });
+  });
+
+  describe('GET /api/emails', function () {
+    it('lists emails by status', function (done) {
+      request().get('/api/emails').query({status: 'failed'}).set('x-access-token', as.volunteer).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.total, 1);
+          assert.equal(res.body.emails[0].transaction, transaction._id);
+          assert.equal(res.body.emails[0].last_error, 'SMTP is down');
+          done();
+        });
+    });
+
+    it('leaves out emails with another status', function (done) {
+      request().get('/api/emails').query({status: 'sent'}).set('x-access-token', as.volunteer).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.total, 0);
+          done();
+        });
+    });
+
+    it('400s on an unknown status', function (done) {
+      request().get('/api/emails').query({status: 'lost'}).set('x-access-token', as.volunteer).expect(400, done);
+    });
+
+    it('401s without a token', function (done) {
+      request().get('/api/emails').expect(401, done);
+    });
+  });
+
+  describe('POST /api/emails/:id/resend', function () {
+    it('queues a failed email again, and sends it on the next run', function (done) {
+      request().post(`/api/emails/${email._id}/resend`).set('x-access-token', as.volunteer).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.status, 'queued');
+          assert.equal(res.body.attempts, 0);
+          helpers.deliver(function (err) {
+            if (err) return done(err);
+            assert.equal(mail.sent.length, 1);
+            Transaction.findById(transaction._id, function (err, updated) {
+              if (err) return done(err);
+              assert.equal(updated.emails[0].status, 'sent');
+              done();
+            });
+          });
+        });
+    });
+
+    it("409s on an email which hasn't failed", function (done) {
+      Email.update({_id: email._id}, {status: 'sent'}, function (err) {
+        if (err) return done(err);
+        request().post(`/api/emails/${email._id}/resend`).set('x-access-token', as.volunteer).expect(409, done);
+      });
+    });
+
+    it('404s on a missing email', function (done) {
+      request().post(`/api/emails/${helpers.missingId()}/resend`).set('x-access-token', as.volunteer)
+        .expect(404, done);
+    });
+  });
+});
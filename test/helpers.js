@@ -0,0 +1,150 @@
+/*
+Shared setup for the integration tests. Requiring this boots the app against the test database, so it must be required
+before anything from /src.
+
+The tests need a MongoDB to run against, at TEST_DB_URI or a local one by default. Every collection in it is emptied
+between tests, so it's never the database from DB_URI.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.DB_URI = process.env.TEST_DB_URI || 'mongodb://localhost:27017/ricebikes-test';
+// the fake CAS server is how the auth tests log in; AuthController validates tickets against it on this port
+process.env.PORT = process.env.TEST_PORT || '3999';
+process.env.DEV_AUTH = 'true';
+process.env.DEV_AUTH_NETIDS = 'casuser';
+delete process.env.CAS_VALIDATE_URL;
+
+var mongoose = require('mongoose');
+var jwt = require('jsonwebtoken');
+var supertest = require('supertest');
+
+var app = require('../src/app');
+var config = require('../src/config')();
+var outbox = require('../src/outbox');
+var User = require('../src/models/User');
+var Session = require('../src/models/Session');
+
+/*
+Email goes to this transport instead of SMTP. Sent messages are kept in `mail.sent` as {to, subject, message}, and
+setting `mail.failing` makes every send fail, like when the SMTP server is down. Nothing is sent until a test runs the
+outbox with `deliver`.
+ */
+var mail = {sent: [], failing: false};
+
+var MailStub = function (options) {
+  this.options = options;
+};
+
+MailStub.prototype.sendMail = function (message, cb) {
+  if (mail.failing) return cb(new Error('SMTP is down'));
+  var raw = '';
+  message.on('data', function (data) {
+    raw += (data || '').toString('utf-8');
+  });
+  message.on('error', cb);
+  message.on('end', function () {
+    var subject = raw.match(/^Subject: (.*)$/m);
+    mail.sent.push({to: message.getEnvelope().to, subject: subject && subject[1], message: raw});
+    cb(null, {});
+  });
+  message.streamMessage();
+};
+
+/**
+ * Sends email to the stub transport, for tests which pointed the mailer somewhere else.
+ */
+var stubMail = function (done) {
+  app.mailer.update({from: config.email.from, transportMethod: MailStub}, done);
+};
+
+before(stubMail);
+
+// text search needs its indexes to exist before the first query
+before(function (done) {
+  var names = mongoose.modelNames();
+  var next = function (i) {
+    if (i === names.length) return done();
+    mongoose.model(names[i]).ensureIndexes(function (err) {
+      if (err) return done(err);
+      next(i + 1);
+    });
+  };
+  next(0);
+});
+
+/**
+ * Empties every collection and the mail outbox. Transaction numbers keep counting up, since the counter lives in its
+ * own collection.
+ */
+var reset = function (done) {
+  mail.sent = [];
+  mail.failing = false;
+  var names = mongoose.modelNames();
+  var next = function (i) {
+    if (i === names.length) return done();
+    mongoose.model(names[i]).remove({}, function (err) {
+      if (err) return done(err);
+      next(i + 1);
+    });
+  };
+  next(0);
+};
+
+/**
+ * Creates a user with a role and logs them in, the way AuthController would after a CAS login.
+ * @param username - netID of the user
+ * @param role - one of permissions.ROLES
+ * @param cb - called with (err, {user, session, token, refresh_token})
+ */
+var login = function (username, role, cb) {
+  User.create({username: username, role: role}, function (err, user) {
+    if (err) return cb(err);
+    Session.start({user: username, attributes: {uid: username}}, function (err, session, refreshToken) {
+      if (err) return cb(err);
+      var token = jwt.sign({data: session.cas_data, sid: session._id}, config.secret, {
+        expiresIn: config.access_token_ttl
+      });
+      cb(null, {user: user, session: session, token: token, refresh_token: refreshToken});
+    });
+  });
+};
+
+/**
+ * Creates mocha hooks logging in one user per role before each test, so that `as.admin` and the like are tokens.
+ * @param as - object to put the tokens on, by role
+ * @param roles - roles to log in as
+ */
+var loginAs = function (as, roles) {
+  beforeEach(function (done) {
+    var next = function (i) {
+      if (i === roles.length) return done();
+      login(`test_${roles[i]}`, roles[i], function (err, result) {
+        if (err) return done(err);
+        as[roles[i]] = result.token;
+        next(i + 1);
+      });
+    };
+    next(0);
+  });
+};
+
+module.exports = {
+  app: app,
+  config: config,
+  mail: mail,
+  request: function () {
+    return supertest(app);
+  },
+  reset: reset,
+  stubMail: stubMail,
+  // runs the outbox worker once, calling back with (err, count) when nothing more is due
+  deliver: function (cb) {
+    outbox.processDue(app, cb);
+  },
+  login: login,
+  loginAs: loginAs,
+  // an ObjectId which belongs to nothing
+  missingId: function () {
+    return new mongoose.Types.ObjectId().toString();
+  }
+};
@@ -0,0 +1,225 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var AuditLog = require('../src/models/AuditLog');
+var Item = require('../src/models/Item');
+
+var request = helpers.request;
+
+describe('ItemController', function () {
+  var as = {};
+  var item;
+
+  beforeEach(helpers.reset);
+  helpers.loginAs(as, ['volunteer', 'lead_mechanic']);
+
+  beforeEach(function (done) {
+    Item.create({sku: 'TUBE-700', name: 'Inner tube', price: 6, cost: 3, stock: 2, reorder_threshold: 5},
+      function (err, created) {
+        item = created;
+        done(err);
+      });
+  });
+
+  describe('GET /api/items/search', function () {
+    it('finds items by name, without a token', function (done) {
+      request().get('/api/items/search').query({q: 'tube'}).expect(200).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.length, 1);
+        assert.equal(res.body[0].name, 'Inner tube');
+        assert.equal(res.body[0].stock_movements, undefined);
+        assert.equal(res.body[0].cost, undefined);
+        done();
+      });
+    });
+  });
+
+  describe('GET /api/items/low-stock', function () {
+    it('lists items at or below their reorder threshold', function (done) {
+      Item.create({name: 'Chain', price: 20, stock: 10, reorder_threshold: 2}, function (err) {
+        if (err) return done(err);
+        request().get('/api/items/low-stock').set('x-access-token', as.volunteer).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.deepEqual(res.body.map(function (i) {
+            return i.name;
+          }), ['Inner tube']);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('POST /api/items', function () {
+    it('creates an item, recording its initial stock', function (done) {
+      request().post('/api/items').set('x-access-token', as.lead_mechanic)
+        .send({name: 'Brake pads', price: 12, stock: 4}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.name, 'Brake pads');
+          assert.equal(res.body.stock, 4);
+          assert.equal(res.body.stock_movements.length, 1);
+          assert.equal(res.body.stock_movements[0].reason, 'initial');
+          done();
+        });
+    });
+
+    it('400s naming each invalid field', function (done) {
+      request().post('/api/items').set('x-access-token', as.lead_mechanic)
+        .send({name: 'Brake pads', price: 'cheap', colour: 'red'}).expect(400).end(function (err, res) {
+          if (err) return done(err);
+          assert.deepEqual(res.body.details, ['Unknown field colour.', 'price must be a number.']);
+          done();
+        });
+    });
+
+    it('403s without the edit_catalog permission', function (done) {
+      request().post('/api/items').set('x-access-token', as.volunteer).send({name: 'Brake pads', price: 12})
+        .expect(403, done);
+    });
+  });
+
+  describe('GET /api/items/export', function () {
+    it('exports the catalog as CSV', function (done) {
+      request().get('/api/items/export').set('x-access-token', as.lead_mechanic).expect(200)
+        .expect('Content-Type', /text\/csv/).end(function (err, res) {
+          if (err) return done(err);
+          var lines = res.text.trim().split('\n');
+          assert.equal(lines[0], 'sku,name,description,price,cost,stock,reorder_threshold');
+          assert.ok(lines[1].indexOf('TUBE-700,Inner tube') === 0);
+          done();
+        });
+    });
+  });
+
+  describe('POST /api/items/import', function () {
+    var csv = 'sku,name,price,stock\nTUBE-700,Inner tube,7,2\nGRIP-1,Grips,15,8\n,No price,,\n';
+
+    it('updates matching items, creates new ones and rejects invalid rows', function (done) {
+      request().post('/api/items/import').set('x-access-token', as.lead_mechanic).type('text/csv').send(csv)
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.updated.length, 1);
+          assert.equal(res.body.created.length, 1);
+          assert.equal(res.body.rejected.length, 1);
+          Item.findById(item._id, function (err, updated) {
+            if (err) return done(err);
+            assert.equal(updated.price, 7);
+            done();
+          });
+        });
+    });
+
+    it('holds rows to the same rules as creating an item', function (done) {
+      var invalid = 'name,price,cost,stock,reorder_threshold\nBell,-1,,,\nLight,10,-2,,\nPump,20,,1.5,\nLock,30,,,-1\n';
+      request().post('/api/items/import').set('x-access-token', as.lead_mechanic).type('text/csv').send(invalid)
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.created.length, 0);
+          assert.deepEqual(res.body.rejected.map(function (row) {
+            return row.errors;
+          }), [
+            ['price must be at least 0.'],
+            ['cost must be at least 0.'],
+            ['stock must be a whole number.'],
+            ['reorder_threshold must be at least 0.']
+          ]);
+          done();
+        });
+    });
+
+    it('records a recount in the stock history', function (done) {
+      var recount = 'sku,name,price,stock\nTUBE-700,Inner tube,6,5\n';
+      request().post('/api/items/import').set('x-access-token', as.lead_mechanic).type('text/csv').send(recount)
+        .expect(200).end(function (err) {
+          if (err) return done(err);
+          Item.findById(item._id, function (err, updated) {
+            if (err) return done(err);
+            assert.equal(updated.stock, 5);
+            var movement = updated.stock_movements[updated.stock_movements.length - 1];
+            assert.equal(movement.change, 3);
+            assert.equal(movement.reason, 'correction');
+            done();
+          });
+        });
+    });
+
+    it('writes an audit log entry for each item created or updated', function (done) {
+      request().post('/api/items/import').set('x-access-token', as.lead_mechanic).type('text/csv').send(csv)
+        .expect(200).end(function (err) {
+          if (err) return done(err);
+          AuditLog.find({entity: 'Item'}).sort({action: 1}).exec(function (err, entries) {
+            if (err) return done(err);
+            assert.deepEqual(entries.map(function (entry) {
+              return entry.action;
+            }), ['create', 'update']);
+            assert.equal(entries[0].user, 'test_lead_mechanic');
+            assert.equal(entries[0].route, '/api/items/import');
+            assert.deepEqual(entries[1].diff.price, {from: 6, to: 7});
+            done();
+          });
+        });
+    });
+
+    it("doesn't change anything on a dry run", function (done) {
+      request().post('/api/items/import').query({dry_run: true}).set('x-access-token', as.lead_mechanic)
+        .type('text/csv').send(csv).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.dry_run, true);
+          Item.count({}, function (err, count) {
+            if (err) return done(err);
+            assert.equal(count, 1);
+            done();
+          });
+        });
+    });
+
+    it('400s when the body is not CSV', function (done) {
+      request().post('/api/items/import').set('x-access-token', as.lead_mechanic).send({rows: []}).expect(400, done);
+    });
+  });
+
+  describe('GET /api/items/:id/stock', function () {
+    it('sends the stock history', function (done) {
+      Item.adjustStock(item._id, 10, {reason: 'shipment'}, function (err) {
+        if (err) return done(err);
+        request().get(`/api/items/${item._id}/stock`).set('x-access-token', as.lead_mechanic).expect(200)
+          .end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.length, 1);
+            assert.equal(res.body[0].change, 10);
+            done();
+          });
+      });
+    });
+
+    it('404s on a missing item', function (done) {
+      request().get(`/api/items/${helpers.missingId()}/stock`).set('x-access-token', as.lead_mechanic)
+        .expect(404, done);
+    });
+  });
+
+  describe('POST /api/items/:id/stock', function () {
+    it('adjusts the stock', function (done) {
+      request().post(`/api/items/${item._id}/stock`).set('x-access-token', as.lead_mechanic)
+        .send({change: -1, reason: 'shrinkage', note: 'lost'}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.stock, 1);
+          assert.equal(res.body.stock_movements[0].reason, 'shrinkage');
+          done();
+        });
+    });
+
+    it('400s without a change', function (done) {
+      request().post(`/api/items/${item._id}/stock`).set('x-access-token', as.lead_mechanic)
+        .send({change: 0, reason: 'shipment'}).expect(400, done);
+    });
+
+    it('400s on a reason reserved for transactions', function (done) {
+      request().post(`/api/items/${item._id}/stock`).set('x-access-token', as.lead_mechanic)
+        .send({change: 1, reason: 'sale'}).expect(400, done);
+    });
+
+    it('404s on a missing item', function (done) {
+      request().post(`/api/items/${helpers.missingId()}/stock`).set('x-access-token', as.lead_mechanic)
+        .send({change: 1, reason: 'shipment'}).expect(404, done);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+var assert = require('assert');
+var SMTPServer = require('smtp-server').SMTPServer;
+var helpers = require('./helpers');
+var Customer = require('../src/models/Customer');
+var Email = require('../src/models/Email');
+var Transaction = require('../src/models/Transaction');
+var outbox = require('../src/outbox');
+
+var config = helpers.config;
+var mail = helpers.mail;
+
+describe('outbox', function () {
+  var transaction;
+
+  beforeEach(helpers.reset);
+
+  beforeEach(function (done) {
+    Customer.create({first_name: 'Jane', last_name: 'Doe', email: 'jane@rice.edu'}, function (err, jane) {
+      if (err) return done(err);
+      Transaction.create({date_created: Date.now(), customer: jane._id}, function (err, created) {
+        if (err) return done(err);
+        outbox.queue(created, 'receipt', function (err, saved) {
+          transaction = saved;
+          done(err);
+        });
+      });
+    });
+  });
+
+  // makes every queued email due, as if its retry delay had passed
+  var makeDue = function (done) {
+    Email.update({status: 'queued'}, {next_attempt: Date.now()}, {multi: true}, done);
+  };
+
+  var findEmail = function (cb) {
+    Email.findOne({}, function (err, email) {
+      if (err) return cb(err);
+      Transaction.findById(transaction._id, function (err, transaction) {
+        cb(err, email, transaction && transaction.emails[0]);
+      });
+    });
+  };
+
+  it('records the queued email on the transaction', function () {
+    assert.equal(transaction.emails.length, 1);
+    assert.equal(transaction.emails[0].kind, 'receipt');
+    assert.equal(transaction.emails[0].status, 'queued');
+  });
+
+  it('sends each email once', function (done) {
+    helpers.deliver(function (err, count) {
+      if (err) return done(err);
+      assert.equal(count, 1);
+      assert.equal(mail.sent.length, 1);
+      findEmail(function (err, email, delivery) {
+        if (err) return done(err);
+        assert.equal(email.status, 'sent');
+        assert.equal(email.to, 'jane@rice.edu');
+        assert.equal(delivery.status, 'sent');
+        assert.ok(delivery.date_sent);
+        helpers.deliver(function (err, count) {
+          if (err) return done(err);
+          assert.equal(count, 0);
+          assert.equal(mail.sent.length, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('retries a failed send later, waiting longer each time', function (done) {
+    mail.failing = true;
+    var start = Date.now();
+    helpers.deliver(function (err) {
+      if (err) return done(err);
+      findEmail(function (err, email, delivery) {
+        if (err) return done(err);
+        assert.equal(email.status, 'queued');
+        assert.equal(email.attempts, 1);
+        assert.equal(delivery.last_error, 'SMTP is down');
+        assert.ok(email.next_attempt - start >= config.outbox.retry_delay * 1000);
+
+        makeDue(function (err) {
+          if (err) return done(err);
+          var retried = Date.now();
+          helpers.deliver(function (err) {
+            if (err) return done(err);
+            findEmail(function (err, email) {
+              if (err) return done(err);
+              assert.equal(email.attempts, 2);
+              assert.ok(email.next_attempt - retried >= 2 * config.outbox.retry_delay * 1000);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('fails an email once it runs out of attempts', function (done) {
+    mail.failing = true;
+    var attempt = function (i) {
+      if (i === config.outbox.max_attempts) {
+        return findEmail(function (err, email, delivery) {
+          if (err) return done(err);
+          assert.equal(email.status, 'failed');
+          assert.equal(email.attempts, config.outbox.max_attempts);
+          assert.equal(delivery.status, 'failed');
+          done();
+        });
+      }
+      makeDue(function (err) {
+        if (err) return done(err);
+        helpers.deliver(function (err) {
+          if (err) return done(err);
+          attempt(i + 1);
+        });
+      });
+    };
+    attempt(0);
+  });
+
+  it('fails right away when the customer has no email address', function (done) {
+    Customer.update({}, {$unset: {email: 1}}, {multi: true}, function (err) {
+      if (err) return done(err);
+      helpers.deliver(function (err) {
+        if (err) return done(err);
+        findEmail(function (err, email) {
+          if (err) return done(err);
+          assert.equal(email.status, 'failed');
+          assert.equal(email.last_error, 'The customer has no email address.');
+          assert.equal(mail.sent.length, 0);
+          done();
+        });
+      });
+    });
+  });
+
+  it('takes over an email whose worker died while sending it', function (done) {
+    Email.update({}, {status: 'sending', locked_until: Date.now() - 1000}, function (err) {
+      if (err) return done(err);
+      helpers.deliver(function (err, count) {
+        if (err) return done(err);
+        assert.equal(count, 1);
+        assert.equal(mail.sent.length, 1);
+        done();
+      });
+    });
+  });
+
+  describe('against an SMTP server', function () {
+    var server;
+    var received = [];
+
+    // a local SMTP sink, like MailHog in development
+    before(function (done) {
+      server = new SMTPServer({
+        authOptional: true,
+        disabledCommands: ['STARTTLS'],
+        logger: false,
+        onData: function (stream, session, cb) {
+          var raw = '';
+          stream.on('data', function (data) {
+            raw += data.toString('utf-8');
+          });
+          stream.on('end', function () {
+            received.push({
+              to: session.envelope.rcptTo.map(function (rcpt) {
+                return rcpt.address;
+              }),
+              message: raw
+            });
+            cb();
+          });
+        }
+      });
+      server.listen(0, '127.0.0.1', function () {
+        helpers.app.mailer.update({
+          from: config.email.from,
+          transportMethod: 'SMTP',
+          host: '127.0.0.1',
+          port: server.server.address().port
+        }, done);
+      });
+    });
+
+    after(function (done) {
+      helpers.stubMail(function (err) {
+        server.close(function () {
+          done(err);
+        });
+      });
+    });
+
+    it('delivers the email', function (done) {
+      helpers.deliver(function (err) {
+        if (err) return done(err);
+        assert.equal(received.length, 1);
+        assert.deepEqual(received[0].to, ['jane@rice.edu']);
+        var subject = `Subject: Rice Bikes - Receipt - transaction #${transaction._id}`;
+        assert.ok(received[0].message.indexOf(subject) !== -1);
+        findEmail(function (err, email) {
+          if (err) return done(err);
+          assert.equal(email.status, 'sent');
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var Repair = require('../src/models/Repair');
+
+var request = helpers.request;
+
+describe('RepairController', function () {
+  var as = {};
+  var repair;
+
+  beforeEach(helpers.reset);
+  helpers.loginAs(as, ['volunteer', 'lead_mechanic']);
+
+  beforeEach(function (done) {
+    Repair.create({name: 'Flat fix', description: 'Patch or replace a tube', price: 5}, function (err, created) {
+      repair = created;
+      done(err);
+    });
+  });
+
+  describe('GET /api/repairs/search', function () {
+    it('finds repairs by name, leaving out archived ones', function (done) {
+      Repair.create({name: 'Old flat fix', price: 3, archived: true}, function (err) {
+        if (err) return done(err);
+        request().get('/api/repairs/search').query({q: 'flat'}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.deepEqual(res.body.map(function (r) {
+            return r.name;
+          }), ['Flat fix']);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('GET /api/repairs', function () {
+    beforeEach(function (done) {
+      Repair.create({name: 'Old flat fix', price: 3, archived: true}, done);
+    });
+
+    it('lists the repairs which are not archived', function (done) {
+      request().get('/api/repairs').set('x-access-token', as.lead_mechanic).expect(200).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.length, 1);
+        done();
+      });
+    });
+
+    it('includes archived repairs when asked', function (done) {
+      request().get('/api/repairs').query({archived: true}).set('x-access-token', as.lead_mechanic).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.length, 2);
+          done();
+        });
+    });
+
+    it('403s without the edit_catalog permission', function (done) {
+      request().get('/api/repairs').set('x-access-token', as.volunteer).expect(403, done);
+    });
+  });
+
+  describe('POST /api/repairs', function () {
+    it('creates a repair', function (done) {
+      request().post('/api/repairs').set('x-access-token', as.lead_mechanic).send({name: 'Tune up', price: '40'})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.name, 'Tune up');
+          assert.strictEqual(res.body.price, 40);
+          done();
+        });
+    });
+
+    it('400s without a name', function (done) {
+      request().post('/api/repairs').set('x-access-token', as.lead_mechanic).send({price: 40}).expect(400, done);
+    });
+
+    it('400s on a price which is not a number', function (done) {
+      request().post('/api/repairs').set('x-access-token', as.lead_mechanic).send({name: 'Tune up', price: 'lots'})
+        .expect(400, done);
+    });
+  });
+
+  describe('PUT /api/repairs/:id', function () {
+    it('updates a repair', function (done) {
+      request().put(`/api/repairs/${repair._id}`).set('x-access-token', as.lead_mechanic).send({price: 7})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.price, 7);
+          assert.equal(res.body.name, 'Flat fix');
+          done();
+        });
+    });
+
+    it('400s on a price which is not a number', function (done) {
+      request().put(`/api/repairs/${repair._id}`).set('x-access-token', as.lead_mechanic).send({price: 'free'})
+        .expect(400, done);
+    });
+
+    it('404s on a missing repair', function (done) {
+      request().put(`/api/repairs/${helpers.missingId()}`).set('x-access-token', as.lead_mechanic).send({price: 7})
+        .expect(404, done);
+    });
+  });
+
+  describe('DELETE /api/repairs/:id', function () {
+    it('archives a repair rather than removing it', function (done) {
+      request().delete(`/api/repairs/${repair._id}`).set('x-access-token', as.lead_mechanic).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.archived, true);
+          Repair.findById(repair._id, function (err, found) {
+            if (err) return done(err);
+            assert.ok(found);
+            done();
+          });
+        });
+    });
+
+    it('404s on a missing repair', function (done) {
+      request().delete(`/api/repairs/${helpers.missingId()}`).set('x-access-token', as.lead_mechanic)
+        .expect(404, done);
+    });
+  });
+
+  describe('GET /api/repairs/export', function () {
+    it('exports the catalog as CSV', function (done) {
+      request().get('/api/repairs/export').set('x-access-token', as.lead_mechanic).expect(200)
+        .expect('Content-Type', /text\/csv/).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.text.split('\n')[0], 'name,description,price,archived');
+          done();
+        });
+    });
+  });
+
+  describe('POST /api/repairs/import', function () {
+    it('updates repairs by name and creates new ones', function (done) {
+      var csv = 'name,price,archived\nFlat fix,6,\nWheel true,15,no\n';
+      request().post('/api/repairs/import').set('x-access-token', as.lead_mechanic).type('text/csv').send(csv)
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.updated.length, 1);
+          assert.equal(res.body.created.length, 1);
+          assert.equal(res.body.rejected.length, 0);
+          done();
+        });
+    });
+
+    it('400s when the body is not CSV', function (done) {
+      request().post('/api/repairs/import').set('x-access-token', as.lead_mechanic).send({}).expect(400, done);
+    });
+  });
+});
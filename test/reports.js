@@ -0,0 +1,98 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var Transaction = require('../src/models/Transaction');
+
+var request = helpers.request;
+
+describe('ReportController', function () {
+  var as = {};
+
+  beforeEach(helpers.reset);
+  helpers.loginAs(as, ['volunteer', 'manager']);
+
+  // one $30 repair in each state; only the paid one and the picked up one were sold
+  beforeEach(function (done) {
+    var repairs = [{name: 'Flat fix', price: 30}];
+    var transactions = [
+      {status: 'ready', payments: [{amount: 30, method: 'cash'}]},
+      {status: 'picked_up'},
+      {status: 'in_progress'},
+      {status: 'cancelled', payments: [{amount: 30, method: 'cash'}]},
+      {status: 'ready', voided: true, payments: [{amount: 30, method: 'cash'}]}
+    ];
+    var next = function (i) {
+      if (i === transactions.length) return done();
+      transactions[i].date_created = Date.now();
+      transactions[i].repairs = repairs;
+      Transaction.create(transactions[i], function (err) {
+        if (err) return done(err);
+        next(i + 1);
+      });
+    };
+    next(0);
+  });
+
+  describe('GET /api/reports/sales', function () {
+    it('counts only sold transactions', function (done) {
+      request().get('/api/reports/sales').set('x-access-token', as.manager).expect(200).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.length, 1);
+        assert.equal(res.body[0].transactions, 2);
+        assert.equal(res.body[0].labor, 60);
+        assert.equal(res.body[0].total, 60);
+        done();
+      });
+    });
+
+    it("buckets sales by day in the shop's time zone", function (done) {
+      // 10:30pm on October 1st in Houston, which is already October 2nd in UTC
+      Transaction.create({
+        date_created: new Date('2026-10-02T03:30:00Z'),
+        repairs: [{name: 'Flat fix', price: 30}],
+        payments: [{amount: 30, method: 'cash'}]
+      }, function (err) {
+        if (err) return done(err);
+        request().get('/api/reports/sales').query({from: '2026-10-01', to: '2026-10-01'})
+          .set('x-access-token', as.manager).expect(200).end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.length, 1);
+            assert.equal(res.body[0].period, '2026-10-01');
+            assert.equal(res.body[0].transactions, 1);
+            done();
+          });
+      });
+    });
+
+    it('400s on a date it can not read', function (done) {
+      request().get('/api/reports/sales').query({from: 'someday'}).set('x-access-token', as.manager)
+        .expect(400, done);
+    });
+
+    it('403s without the view_reports permission', function (done) {
+      request().get('/api/reports/sales').set('x-access-token', as.volunteer).expect(403, done);
+    });
+  });
+
+  describe('GET /api/reports/top-repairs', function () {
+    it('counts only sold transactions', function (done) {
+      request().get('/api/reports/top-repairs').set('x-access-token', as.manager).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body[0].quantity, 2);
+          assert.equal(res.body[0].revenue, 60);
+          done();
+        });
+    });
+  });
+
+  describe('GET /api/reports/transaction-types', function () {
+    it('leaves out cancelled and voided transactions', function (done) {
+      request().get('/api/reports/transaction-types').set('x-access-token', as.manager).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body[0].count, 3);
+          done();
+        });
+    });
+  });
+});
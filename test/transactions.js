@@ -0,0 +1,929 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var Bike = require('../src/models/Bike');
+var Customer = require('../src/models/Customer');
+var Item = require('../src/models/Item');
+var Repair = require('../src/models/Repair');
+var Transaction = require('../src/models/Transaction');
+
+var request = helpers.request;
+var mail = helpers.mail;
+
+describe('TransactionController', function () {
+  var as = {};
+  var jane, transaction, item, repair;
+
+  beforeEach(helpers.reset);
+  helpers.loginAs(as, ['volunteer', 'lead_mechanic']);
+
+  beforeEach(function (done) {
+    Customer.create({first_name: 'Jane', last_name: 'Doe', email: 'jane@rice.edu'}, function (err, customer) {
+      if (err) return done(err);
+      jane = customer;
+      Item.create({name: 'Inner tube', price: 20, stock: 5}, function (err, created) {
+        if (err) return done(err);
+        item = created;
+        Repair.create({name: 'Flat fix', price: 30}, function (err, created) {
+          if (err) return done(err);
+          repair = created;
+          Transaction.create({date_created: Date.now(), transaction_type: 'Repair', customer: jane._id},
+            function (err, created) {
+              transaction = created;
+              done(err);
+            });
+        });
+      });
+    });
+  });
+
+  /**
+   * Puts an item and a repair on the transaction, for a total of $20 + $1.65 tax + $30 = $51.65.
+   */
+  var addLines = function (done) {
+    transaction.items.push({item: item._id, name: item.name, price: item.price, quantity: 1});
+    transaction.repairs.push({repair: repair._id, name: repair.name, price: repair.price, completed: false});
+    transaction.save(function (err, saved) {
+      transaction = saved;
+      done(err);
+    });
+  };
+
+  var url = function (path) {
+    return `/api/transactions/${transaction._id}${path || ''}`;
+  };
+
+  describe('POST /api/transactions', function () {
+    it('creates a transaction for an existing customer', function (done) {
+      request().post('/api/transactions').set('x-access-token', as.volunteer)
+        .send({transaction_type: 'Repair', customer: {_id: jane._id}}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.customer, String(jane._id));
+          assert.equal(res.body.status, 'intake');
+          done();
+        });
+    });
+
+    it('reuses the customer with the same email rather than making a duplicate', function (done) {
+      request().post('/api/transactions').set('x-access-token', as.volunteer)
+        .send({transaction_type: 'Repair', customer: {first_name: 'Jane', email: 'Jane@Rice.edu'}}).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.customer, String(jane._id));
+          Customer.count({}, function (err, count) {
+            if (err) return done(err);
+            assert.equal(count, 1);
+            done();
+          });
+        });
+    });
+
+    it('creates a new customer', function (done) {
+      request().post('/api/transactions').set('x-access-token', as.volunteer)
+        .send({transaction_type: 'Repair', customer: {first_name: 'John', email: 'john@rice.edu'}}).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.notEqual(res.body.customer, String(jane._id));
+          done();
+        });
+    });
+
+    it('400s without a customer', function (done) {
+      request().post('/api/transactions').set('x-access-token', as.volunteer).send({transaction_type: 'Repair'})
+        .expect(400, done);
+    });
+
+    it("400s on a new customer's invalid email", function (done) {
+      request().post('/api/transactions').set('x-access-token', as.volunteer)
+        .send({transaction_type: 'Repair', customer: {first_name: 'John', email: 'john at rice'}}).expect(400)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.deepEqual(res.body.details, ['customer.email must be an email address.']);
+          done();
+        });
+    });
+
+    it('404s on a missing customer', function (done) {
+      request().post('/api/transactions').set('x-access-token', as.volunteer)
+        .send({transaction_type: 'Repair', customer: {_id: helpers.missingId()}}).expect(404, done);
+    });
+  });
+
+  describe('GET /api/transactions', function () {
+    it('sends a page of transactions', function (done) {
+      request().get('/api/transactions').set('x-access-token', as.volunteer).expect(200).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.total, 1);
+        assert.equal(res.body.page, 1);
+        assert.equal(res.body.pages, 1);
+        assert.equal(res.body.transactions[0]._id, transaction._id);
+        done();
+      });
+    });
+
+    it('filters by status', function (done) {
+      request().get('/api/transactions').query({status: 'ready'}).set('x-access-token', as.volunteer).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.total, 0);
+          done();
+        });
+    });
+
+    it('400s on an unknown parameter', function (done) {
+      request().get('/api/transactions').query({complete: 'true', colour: 'red'}).set('x-access-token', as.volunteer)
+        .expect(400).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.code, 'bad_request');
+          assert.deepEqual(res.body.details, ['Unknown parameter colour.']);
+          done();
+        });
+    });
+
+    it('400s on a customer which is not an ID, even one 12 characters long', function (done) {
+      request().get('/api/transactions').query({customer: 'aaaaaaaaaaaa'}).set('x-access-token', as.volunteer)
+        .expect(400).end(function (err, res) {
+          if (err) return done(err);
+          assert.deepEqual(res.body.details, ['customer must be an ID.']);
+          done();
+        });
+    });
+  });
+
+  describe('GET /api/transactions/search', function () {
+    it('finds transactions by customer and bike', function (done) {
+      Bike.create({make: 'Trek', model: 'FX 2'}, function (err, bike) {
+        if (err) return done(err);
+        transaction.bikes.push(bike._id);
+        transaction.save(function (err) {
+          if (err) return done(err);
+          request().get('/api/transactions/search').query({q: 'jane trek'}).set('x-access-token', as.volunteer)
+            .expect(200).end(function (err, res) {
+              if (err) return done(err);
+              assert.equal(res.body.total, 1);
+              assert.equal(res.body.transactions[0]._id, transaction._id);
+              done();
+            });
+        });
+      });
+    });
+
+    it('ranks a transaction whose description also matches above newer ones', function (done) {
+      transaction.description = 'Jane wants it by Friday';
+      transaction.save(function (err) {
+        if (err) return done(err);
+        Transaction.create({date_created: Date.now() + 1000, customer: jane._id}, function (err, newer) {
+          if (err) return done(err);
+          request().get('/api/transactions/search').query({q: 'jane'}).set('x-access-token', as.volunteer)
+            .expect(200).end(function (err, res) {
+              if (err) return done(err);
+              assert.equal(res.body.total, 2);
+              assert.equal(res.body.transactions[0]._id, transaction._id);
+              assert.equal(res.body.transactions[1]._id, newer._id);
+              done();
+            });
+        });
+      });
+    });
+
+    it('400s without a query', function (done) {
+      request().get('/api/transactions/search').set('x-access-token', as.volunteer).expect(400, done);
+    });
+  });
+
+  describe('GET /api/transactions/:id', function () {
+    it('gets a transaction with its references populated', function (done) {
+      request().get(url()).set('x-access-token', as.volunteer).expect(200).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.customer.email, 'jane@rice.edu');
+        done();
+      });
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().get('/api/transactions/999999999').set('x-access-token', as.volunteer).expect(404, done);
+    });
+
+    it('400s on an id which is not a number', function (done) {
+      request().get('/api/transactions/abc').set('x-access-token', as.volunteer).expect(400).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.message, 'id must be a number.');
+        done();
+      });
+    });
+  });
+
+  describe('PUT /api/transactions/:id', function () {
+    it('updates a transaction, but not the fields derived by the server', function (done) {
+      request().put(url()).set('x-access-token', as.volunteer)
+        .send({description: 'Squeaky brakes', total_cost: 0.01, status: 'picked_up'}).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.description, 'Squeaky brakes');
+          assert.equal(res.body.total_cost, 0);
+          assert.equal(res.body.status, 'intake');
+          done();
+        });
+    });
+
+    it('takes back a transaction as it was sent, with its customer populated', function (done) {
+      request().get(url()).set('x-access-token', as.volunteer).expect(200).end(function (err, res) {
+        if (err) return done(err);
+        var sent = res.body;
+        sent.description = 'Flat tire';
+        sent.items = [{item: item._id, name: 'Free tube', price: 0}];
+        request().put(url()).set('x-access-token', as.volunteer).send(sent).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.description, 'Flat tire');
+          assert.equal(res.body.items.length, 0);
+          assert.equal(String(res.body.customer._id || res.body.customer), String(jane._id));
+          done();
+        });
+      });
+    });
+
+    it('keeps the rates it was first priced at when the config changes', function (done) {
+      var pricing = helpers.config.pricing;
+      var taxRate = pricing.tax_rate;
+      addLines(function (err) {
+        if (err) return done(err);
+        pricing.tax_rate = 0.5;
+        request().put(url()).set('x-access-token', as.volunteer).send({description: 'Squeaky brakes'}).expect(200)
+          .end(function (err, res) {
+            pricing.tax_rate = taxRate;
+            if (err) return done(err);
+            assert.equal(res.body.price_breakdown.tax_rate, taxRate);
+            assert.equal(res.body.total_cost, 51.65);
+            done();
+          });
+      });
+    });
+
+    it('400s on a customer which is not an ID', function (done) {
+      request().put(url()).set('x-access-token', as.volunteer).send({customer: 'jane'}).expect(400, done);
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().put('/api/transactions/999999999').set('x-access-token', as.volunteer).send({description: 'x'})
+        .expect(404, done);
+    });
+  });
+
+  describe('POST /api/transactions/:id/items', function () {
+    it('adds an item, taking it out of stock', function (done) {
+      request().post(url('/items')).set('x-access-token', as.volunteer).send({_id: item._id, quantity: 2})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.items.length, 1);
+          assert.equal(res.body.items[0].quantity, 2);
+          assert.equal(res.body.total_cost, 43.3);
+          Item.findById(item._id, function (err, updated) {
+            if (err) return done(err);
+            assert.equal(updated.stock, 3);
+            done();
+          });
+        });
+    });
+
+    it('400s on a quantity which is not positive', function (done) {
+      request().post(url('/items')).set('x-access-token', as.volunteer).send({_id: item._id, quantity: 0})
+        .expect(400, done);
+    });
+
+    it('404s on a missing item', function (done) {
+      request().post(url('/items')).set('x-access-token', as.volunteer).send({_id: helpers.missingId()})
+        .expect(404, done);
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().post('/api/transactions/999999999/items').set('x-access-token', as.volunteer).send({_id: item._id})
+        .expect(404, done);
+    });
+  });
+
+  describe('PUT /api/transactions/:id/items/:line_id', function () {
+    beforeEach(addLines);
+
+    it('changes the quantity, moving the difference out of stock', function (done) {
+      request().put(url(`/items/${transaction.items[0]._id}`)).set('x-access-token', as.volunteer)
+        .send({quantity: 3}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.items[0].quantity, 3);
+          Item.findById(item._id, function (err, updated) {
+            if (err) return done(err);
+            assert.equal(updated.stock, 3);
+            done();
+          });
+        });
+    });
+
+    it('400s on an invalid discount', function (done) {
+      request().put(url(`/items/${transaction.items[0]._id}`)).set('x-access-token', as.volunteer)
+        .send({discount: {kind: 'percentage', value: 5}}).expect(400, done);
+    });
+
+    it('404s on a missing line', function (done) {
+      request().put(url(`/items/${helpers.missingId()}`)).set('x-access-token', as.volunteer).send({quantity: 3})
+        .expect(404, done);
+    });
+  });
+
+  describe('DELETE /api/transactions/:id/items/:item_id', function () {
+    beforeEach(addLines);
+
+    it('removes the item, putting it back in stock', function (done) {
+      request().delete(url(`/items/${transaction.items[0]._id}`)).set('x-access-token', as.volunteer).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.items.length, 0);
+          Item.findById(item._id, function (err, updated) {
+            if (err) return done(err);
+            assert.equal(updated.stock, 6);
+            done();
+          });
+        });
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().delete(`/api/transactions/999999999/items/${item._id}`).set('x-access-token', as.volunteer)
+        .expect(404, done);
+    });
+  });
+
+  describe('POST /api/transactions/:id/repairs', function () {
+    it('adds a repair', function (done) {
+      request().post(url('/repairs')).set('x-access-token', as.volunteer).send({_id: repair._id}).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.repairs.length, 1);
+          assert.equal(res.body.total_cost, 30);
+          done();
+        });
+    });
+
+    it('400s on an archived repair', function (done) {
+      Repair.update({_id: repair._id}, {archived: true}, function (err) {
+        if (err) return done(err);
+        request().post(url('/repairs')).set('x-access-token', as.volunteer).send({_id: repair._id})
+          .expect(400, done);
+      });
+    });
+
+    it('404s on a missing repair', function (done) {
+      request().post(url('/repairs')).set('x-access-token', as.volunteer).send({_id: helpers.missingId()})
+        .expect(404, done);
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().post('/api/transactions/999999999/repairs').set('x-access-token', as.volunteer)
+        .send({_id: repair._id}).expect(404, done);
+    });
+  });
+
+  describe('PUT /api/transactions/:id/repairs/:repair_id', function () {
+    beforeEach(addLines);
+
+    it('marks a repair completed', function (done) {
+      request().put(url(`/repairs/${transaction.repairs[0]._id}`)).set('x-access-token', as.volunteer)
+        .send({completed: true}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.repairs[0].completed, true);
+          done();
+        });
+    });
+
+    it('404s on a missing line', function (done) {
+      request().put(url(`/repairs/${helpers.missingId()}`)).set('x-access-token', as.volunteer)
+        .send({completed: true}).expect(404, done);
+    });
+
+    it('400s on a malformed line id', function (done) {
+      request().put(url('/repairs/first')).set('x-access-token', as.volunteer).send({completed: true})
+        .expect(400, done);
+    });
+
+    it('400s when completed is not a boolean', function (done) {
+      request().put(url(`/repairs/${transaction.repairs[0]._id}`)).set('x-access-token', as.volunteer)
+        .send({completed: 'yes'}).expect(400, done);
+    });
+  });
+
+  describe('DELETE /api/transactions/:id/repairs/:repair_id', function () {
+    beforeEach(addLines);
+
+    it('removes the repair', function (done) {
+      request().delete(url(`/repairs/${transaction.repairs[0]._id}`)).set('x-access-token', as.volunteer)
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.repairs.length, 0);
+          assert.equal(res.body.total_cost, 21.65);
+          done();
+        });
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().delete(`/api/transactions/999999999/repairs/${repair._id}`).set('x-access-token', as.volunteer)
+        .expect(404, done);
+    });
+  });
+
+  describe('PUT and DELETE /api/transactions/:id/discount', function () {
+    beforeEach(addLines);
+
+    it('sets and removes a discount on the whole transaction', function (done) {
+      request().put(url('/discount')).set('x-access-token', as.volunteer).send({kind: 'fixed', value: 10})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.price_breakdown.discount_total, 10);
+          request().delete(url('/discount')).set('x-access-token', as.volunteer).expect(200)
+            .end(function (err, res) {
+              if (err) return done(err);
+              assert.equal(res.body.total_cost, 51.65);
+              done();
+            });
+        });
+    });
+
+    it('400s on an unknown kind of discount', function (done) {
+      request().put(url('/discount')).set('x-access-token', as.volunteer).send({kind: 'friends', value: 10})
+        .expect(400, done);
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().put('/api/transactions/999999999/discount').set('x-access-token', as.volunteer)
+        .send({kind: 'student'}).expect(404, done);
+    });
+  });
+
+  describe('POST /api/transactions/:id/bikes', function () {
+    it('registers a new bike to the customer', function (done) {
+      request().post(url('/bikes')).set('x-access-token', as.volunteer)
+        .send({make: 'Trek', model: 'FX 2', serial_number: 'wtu123'}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.bikes.length, 1);
+          assert.equal(res.body.bikes[0].serial_number, 'WTU123');
+          assert.equal(res.body.bikes[0].customer, String(jane._id));
+          done();
+        });
+    });
+
+    it('reuses a bike with the same serial number', function (done) {
+      Bike.create({make: 'Trek', serial_number: 'WTU123'}, function (err, bike) {
+        if (err) return done(err);
+        request().post(url('/bikes')).set('x-access-token', as.volunteer).send({serial_number: 'wtu123'})
+          .expect(200).end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.bikes[0]._id, String(bike._id));
+            Bike.count({}, function (err, count) {
+              if (err) return done(err);
+              assert.equal(count, 1);
+              done();
+            });
+          });
+      });
+    });
+
+    it('404s on a missing bike', function (done) {
+      request().post(url('/bikes')).set('x-access-token', as.volunteer).send({_id: helpers.missingId()})
+        .expect(404, done);
+    });
+  });
+
+  describe('DELETE /api/transactions/:id/bikes/:bike_id', function () {
+    it('takes the bike off the transaction', function (done) {
+      Bike.create([{make: 'Trek'}, {make: 'Giant'}], function (err, bikes) {
+        if (err) return done(err);
+        var giant = bikes[1];
+        transaction.bikes.push(bikes[0]._id, giant._id);
+        transaction.save(function (err) {
+          if (err) return done(err);
+          request().delete(url(`/bikes/${giant._id}`)).set('x-access-token', as.volunteer).expect(200)
+            .end(function (err, res) {
+              if (err) return done(err);
+              assert.deepEqual(res.body.bikes.map(function (b) {
+                return b.make;
+              }), ['Trek']);
+              done();
+            });
+        });
+      });
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().delete(`/api/transactions/999999999/bikes/${helpers.missingId()}`)
+        .set('x-access-token', as.volunteer).expect(404, done);
+    });
+  });
+
+  describe('POST /api/transactions/:id/payments', function () {
+    beforeEach(addLines);
+
+    it('records a partial payment without sending a receipt', function (done) {
+      request().post(url('/payments')).set('x-access-token', as.volunteer).send({amount: 20, method: 'cash'})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.amount_paid, 20);
+          assert.equal(res.body.balance_due, 31.65);
+          assert.equal(res.body.is_paid, false);
+          assert.equal(mail.sent.length, 0);
+          done();
+        });
+    });
+
+    it('queues a receipt once the balance is paid', function (done) {
+      request().post(url('/payments')).set('x-access-token', as.volunteer).send({amount: 51.65, method: 'card'})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.is_paid, true);
+          assert.equal(res.body.emails.length, 1);
+          assert.equal(res.body.emails[0].kind, 'receipt');
+          assert.equal(res.body.emails[0].status, 'queued');
+          assert.equal(mail.sent.length, 0);
+          helpers.deliver(function (err) {
+            if (err) return done(err);
+            assert.equal(mail.sent.length, 1);
+            assert.deepEqual(mail.sent[0].to, ['jane@rice.edu']);
+            assert.ok(mail.sent[0].subject.indexOf(`#${transaction._id}`) !== -1);
+            done();
+          });
+        });
+    });
+
+    it('records the payment without waiting on the mail server', function (done) {
+      mail.failing = true;
+      request().post(url('/payments')).set('x-access-token', as.volunteer).send({amount: 51.65, method: 'card'})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.is_paid, true);
+          done();
+        });
+    });
+
+    it('400s on an amount which is not positive', function (done) {
+      request().post(url('/payments')).set('x-access-token', as.volunteer).send({amount: -5, method: 'cash'})
+        .expect(400, done);
+    });
+
+    it('400s on an unknown method', function (done) {
+      request().post(url('/payments')).set('x-access-token', as.volunteer).send({amount: 5, method: 'bitcoin'})
+        .expect(400, done);
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().post('/api/transactions/999999999/payments').set('x-access-token', as.volunteer)
+        .send({amount: 5, method: 'cash'}).expect(404, done);
+    });
+  });
+
+  describe('POST /api/transactions/:id/refunds', function () {
+    beforeEach(addLines);
+
+    beforeEach(function (done) {
+      request().post(url('/payments')).set('x-access-token', as.volunteer).send({amount: 20, method: 'cash'})
+        .expect(200, done);
+    });
+
+    it('records a refund as a negative payment', function (done) {
+      request().post(url('/refunds')).set('x-access-token', as.volunteer)
+        .send({amount: 5, method: 'cash', reason: 'Overcharged'}).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.amount_paid, 15);
+          assert.equal(res.body.payments[1].amount, -5);
+          done();
+        });
+    });
+
+    it('400s without a reason', function (done) {
+      request().post(url('/refunds')).set('x-access-token', as.volunteer).send({amount: 5, method: 'cash'})
+        .expect(400, done);
+    });
+
+    it('400s on more than has been paid', function (done) {
+      request().post(url('/refunds')).set('x-access-token', as.volunteer)
+        .send({amount: 25, method: 'cash', reason: 'Oops'}).expect(400, done);
+    });
+  });
+
+  describe('POST /api/transactions/:id/status', function () {
+    it('moves the transaction along the workflow', function (done) {
+      request().post(url('/status')).set('x-access-token', as.volunteer).send({status: 'in_progress', note: 'On it'})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.status, 'in_progress');
+          assert.equal(res.body.status_history[0].user, 'test_volunteer');
+          done();
+        });
+    });
+
+    it('emails the customer when their bike is ready, then clears waiting_email', function (done) {
+      request().post(url('/status')).set('x-access-token', as.volunteer).send({status: 'ready'}).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.complete, true);
+          assert.equal(res.body.waiting_email, true);
+          assert.equal(res.body.emails[0].kind, 'ready');
+          helpers.deliver(function (err) {
+            if (err) return done(err);
+            assert.equal(mail.sent.length, 1);
+            assert.deepEqual(mail.sent[0].to, ['jane@rice.edu']);
+            Transaction.findById(transaction._id, function (err, updated) {
+              if (err) return done(err);
+              assert.equal(updated.waiting_email, false);
+              assert.equal(updated.emails[0].status, 'sent');
+              done();
+            });
+          });
+        });
+    });
+
+    it('leaves waiting_email set when the ready email fails', function (done) {
+      mail.failing = true;
+      request().post(url('/status')).set('x-access-token', as.volunteer).send({status: 'ready'}).expect(200)
+        .end(function (err) {
+          if (err) return done(err);
+          helpers.deliver(function (err) {
+            if (err) return done(err);
+            Transaction.findById(transaction._id, function (err, updated) {
+              if (err) return done(err);
+              assert.equal(updated.waiting_email, true);
+              assert.equal(updated.emails[0].status, 'queued');
+              assert.equal(updated.emails[0].last_error, 'SMTP is down');
+              done();
+            });
+          });
+        });
+    });
+
+    it('409s on a transition the workflow does not allow', function (done) {
+      request().post(url('/status')).set('x-access-token', as.volunteer).send({status: 'picked_up'})
+        .expect(409, done);
+    });
+
+    it("409s on picking up a bike which hasn't been paid for", function (done) {
+      addLines(function (err) {
+        if (err) return done(err);
+        transaction.transition('ready', 'test');
+        transaction.save(function (err) {
+          if (err) return done(err);
+          request().post(url('/status')).set('x-access-token', as.volunteer).send({status: 'picked_up'})
+            .expect(409, done);
+        });
+      });
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().post('/api/transactions/999999999/status').set('x-access-token', as.volunteer)
+        .send({status: 'in_progress'}).expect(404, done);
+    });
+  });
+
+  describe('DELETE /api/transactions/:id', function () {
+    it('voids the transaction, leaving it out of listings', function (done) {
+      request().delete(url()).set('x-access-token', as.lead_mechanic).send({reason: 'Duplicate'}).expect(200)
+        .end(function (err) {
+          if (err) return done(err);
+          request().get('/api/transactions').set('x-access-token', as.volunteer).expect(200)
+            .end(function (err, res) {
+              if (err) return done(err);
+              assert.equal(res.body.total, 0);
+              done();
+            });
+        });
+    });
+
+    it('400s without a reason', function (done) {
+      request().delete(url()).set('x-access-token', as.lead_mechanic).expect(400, done);
+    });
+
+    it('409s when money has been paid', function (done) {
+      addLines(function (err) {
+        if (err) return done(err);
+        request().post(url('/payments')).set('x-access-token', as.volunteer).send({amount: 5, method: 'cash'})
+          .expect(200).end(function (err) {
+            if (err) return done(err);
+            request().delete(url()).set('x-access-token', as.lead_mechanic).send({reason: 'Duplicate'})
+              .expect(409, done);
+          });
+      });
+    });
+
+    it('403s without the void_transaction permission', function (done) {
+      request().delete(url()).set('x-access-token', as.volunteer).send({reason: 'Duplicate'}).expect(403, done);
+    });
+
+    it('puts the parts back in stock', function (done) {
+      addLines(function (err) {
+        if (err) return done(err);
+        request().delete(url()).set('x-access-token', as.lead_mechanic).send({reason: 'Duplicate'}).expect(200)
+          .end(function (err) {
+            if (err) return done(err);
+            Item.findById(item._id, function (err, updated) {
+              if (err) return done(err);
+              assert.equal(updated.stock, 6);
+              assert.equal(updated.stock_movements[updated.stock_movements.length - 1].reason, 'return');
+              done();
+            });
+          });
+      });
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().delete('/api/transactions/999999999').set('x-access-token', as.lead_mechanic)
+        .send({reason: 'Duplicate'}).expect(404, done);
+    });
+  });
+
+  describe('GET /api/transactions/voided and POST /api/transactions/:id/restore', function () {
+    beforeEach(function (done) {
+      transaction.voided = true;
+      transaction.void_reason = 'Duplicate';
+      transaction.save(done);
+    });
+
+    it('lists voided transactions and restores them', function (done) {
+      request().get('/api/transactions/voided').set('x-access-token', as.lead_mechanic).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.length, 1);
+          request().post(url('/restore')).set('x-access-token', as.lead_mechanic).expect(200)
+            .end(function (err, res) {
+              if (err) return done(err);
+              assert.equal(res.body.voided, false);
+              assert.equal(res.body.void_reason, undefined);
+              done();
+            });
+        });
+    });
+
+    it('takes the parts back out of stock on restoring', function (done) {
+      transaction.items.push({item: item._id, name: item.name, price: item.price, quantity: 2});
+      transaction.save(function (err) {
+        if (err) return done(err);
+        request().post(url('/restore')).set('x-access-token', as.lead_mechanic).expect(200).end(function (err) {
+          if (err) return done(err);
+          Item.findById(item._id, function (err, updated) {
+            if (err) return done(err);
+            assert.equal(updated.stock, 3);
+            done();
+          });
+        });
+      });
+    });
+
+    it('refuses changes until restored', function (done) {
+      var changes = [
+        request().post(url('/payments')).send({amount: 5, method: 'cash'}),
+        request().post(url('/refunds')).send({amount: 5, method: 'cash', reason: 'Overcharged'}),
+        request().post(url('/status')).send({status: 'in_progress'}),
+        request().put(url()).send({description: 'Changed'}),
+        request().post(url('/items')).send({_id: item._id.toString()}),
+        request().post(url('/repairs')).send({_id: repair._id.toString()}),
+        request().put(url('/discount')).send({kind: 'student'}),
+        request().get(url('/email-receipt'))
+      ];
+      var next = function (i) {
+        if (i === changes.length) {
+          return Item.findById(item._id, function (err, unchanged) {
+            if (err) return done(err);
+            assert.equal(unchanged.stock, 5);
+            done();
+          });
+        }
+        changes[i].set('x-access-token', as.lead_mechanic).expect(409).end(function (err) {
+          if (err) return done(err);
+          next(i + 1);
+        });
+      };
+      next(0);
+    });
+
+    it('409s on restoring a transaction which is not void', function (done) {
+      request().post(url('/restore')).set('x-access-token', as.lead_mechanic).expect(200).end(function (err) {
+        if (err) return done(err);
+        request().post(url('/restore')).set('x-access-token', as.lead_mechanic).expect(409, done);
+      });
+    });
+
+    it('403s without the void_transaction permission', function (done) {
+      request().get('/api/transactions/voided').set('x-access-token', as.volunteer).expect(403, done);
+    });
+  });
+
+  describe('GET /api/transactions/:id/receipt', function () {
+    beforeEach(addLines);
+
+    beforeEach(function (done) {
+      Bike.create({make: 'Trek', model: 'FX 2', serial_number: 'wtu123'}, function (err, bike) {
+        if (err) return done(err);
+        transaction.bikes.push(bike._id);
+        transaction.payments.push({amount: 20, method: 'cash'});
+        transaction.save(done);
+      });
+    });
+
+    it('renders the itemized receipt without sending it', function (done) {
+      request().get(url('/receipt')).set('x-access-token', as.volunteer).expect('Content-Type', /html/).expect(200)
+        .end(function (err, res) {
+          if (err) return done(err);
+          ['Jane Doe', 'Trek FX 2', 'WTU123', '1 x Inner tube @ $20.00', '1 x Flat fix @ $30.00', '$1.65', '$51.65',
+            'Payment (cash)', '$31.65'].forEach(function (text) {
+            assert.ok(res.text.indexOf(text) !== -1, `missing ${text}`);
+          });
+          assert.equal(mail.sent.length, 0);
+          done();
+        });
+    });
+
+    it('prices a line without a snapshotted price as the totals do', function (done) {
+      transaction.repairs.push({repair: repair._id});
+      transaction.save(function (err) {
+        if (err) return done(err);
+        request().get(url('/receipt')).set('x-access-token', as.volunteer).expect(200).end(function (err, res) {
+          if (err) return done(err);
+          ['1 x Flat fix @ $0.00', '$51.65'].forEach(function (text) {
+            assert.ok(res.text.indexOf(text) !== -1, `missing ${text}`);
+          });
+          done();
+        });
+      });
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().get('/api/transactions/999999999/receipt').set('x-access-token', as.volunteer).expect(404, done);
+    });
+  });
+
+  describe('GET /api/transactions/:id/work-order.pdf and /receipt.pdf', function () {
+    beforeEach(addLines);
+
+    // superagent doesn't buffer PDFs on its own
+    var binary = function (res, cb) {
+      var chunks = [];
+      res.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      res.on('end', function () {
+        cb(null, Buffer.concat(chunks));
+      });
+    };
+
+    ['work-order', 'receipt'].forEach(function (name) {
+      it(`renders the ${name} as a PDF`, function (done) {
+        request().get(url(`/${name}.pdf`)).set('x-access-token', as.volunteer).buffer(true).parse(binary)
+          .expect('Content-Type', 'application/pdf')
+          .expect('Content-Disposition', `inline; filename="${name}-${transaction._id}.pdf"`)
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.slice(0, 5).toString(), '%PDF-');
+            assert.equal(mail.sent.length, 0);
+            done();
+          });
+      });
+
+      it('404s on a missing transaction', function (done) {
+        request().get(`/api/transactions/999999999/${name}.pdf`).set('x-access-token', as.volunteer)
+          .expect(404, done);
+      });
+    });
+  });
+
+  describe('GET /api/transactions/:id/email-notify and /email-receipt', function () {
+    it('emails the customer that their bike is ready', function (done) {
+      request().get(url('/email-notify')).set('x-access-token', as.volunteer).expect(200).end(function (err, res) {
+        if (err) return done(err);
+        assert.equal(res.body.emails[0].kind, 'ready');
+        helpers.deliver(function (err) {
+          if (err) return done(err);
+          assert.equal(mail.sent.length, 1);
+          assert.ok(mail.sent[0].subject.indexOf('ready') !== -1);
+          done();
+        });
+      });
+    });
+
+    it('emails the customer their receipt', function (done) {
+      request().get(url('/email-receipt')).set('x-access-token', as.volunteer).expect(200).end(function (err) {
+        if (err) return done(err);
+        helpers.deliver(function (err) {
+          if (err) return done(err);
+          assert.equal(mail.sent.length, 1);
+          assert.ok(mail.sent[0].subject.indexOf('Receipt') !== -1);
+          // with a plain-text part as well as the HTML
+          assert.ok(mail.sent[0].message.indexOf('text/plain') !== -1);
+          assert.ok(mail.sent[0].message.indexOf('Balance due') !== -1);
+          done();
+        });
+      });
+    });
+
+    it('queues the email even when the mail server is down', function (done) {
+      mail.failing = true;
+      request().get(url('/email-receipt')).set('x-access-token', as.volunteer).expect(200, done);
+    });
+
+    it('404s on a missing transaction', function (done) {
+      request().get('/api/transactions/999999999/email-notify').set('x-access-token', as.volunteer)
+        .expect(404, done);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var User = require('../src/models/User');
+var Session = require('../src/models/Session');
+
+var request = helpers.request;
+
+describe('UserController', function () {
+  var as = {};
+
+  beforeEach(helpers.reset);
+  helpers.loginAs(as, ['volunteer', 'admin']);
+
+  describe('POST /api/users', function () {
+    it('creates a user with a role', function (done) {
+      request().post('/api/users').set('x-access-token', as.admin).send({username: 'abc1', role: 'lead_mechanic'})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.username, 'abc1');
+          assert.equal(res.body.role, 'lead_mechanic');
+          assert.equal(res.body.admin, false);
+          done();
+        });
+    });
+
+    it('takes the admin flag from older clients', function (done) {
+      request().post('/api/users').set('x-access-token', as.admin).send({username: 'abc1', admin: true})
+        .expect(200).end(function (err, res) {
+          if (err) return done(err);
+          assert.equal(res.body.role, 'admin');
+          done();
+        });
+    });
+
+    it('400s on an unknown role', function (done) {
+      request().post('/api/users').set('x-access-token', as.admin).send({username: 'abc1', role: 'boss'})
+        .expect(400, done);
+    });
+
+    it('403s without the manage_users permission', function (done) {
+      request().post('/api/users').set('x-access-token', as.volunteer).send({username: 'abc1'}).expect(403, done);
+    });
+  });
+
+  describe('GET /api/users', function () {
+    it('lists the users', function (done) {
+      request().get('/api/users').set('x-access-token', as.volunteer).expect(200).end(function (err, res) {
+        if (err) return done(err);
+        assert.deepEqual(res.body.map(function (u) {
+          return u.username;
+        }).sort(), ['test_admin', 'test_volunteer']);
+        done();
+      });
+    });
+  });
+
+  describe('GET /api/users/roles', function () {
+    it('sends the permission matrix', function (done) {
+      request().get('/api/users/roles').set('x-access-token', as.volunteer).expect(200).end(function (err, res) {
+        if (err) return done(err);
+        assert.deepEqual(Object.keys(res.body), ['volunteer', 'lead_mechanic', 'manager', 'admin']);
+        done();
+      });
+    });
+  });
+
+  describe('PUT /api/users/:user_id/role', function () {
+    it('assigns a role', function (done) {
+      User.findOne({username: 'test_volunteer'}, function (err, user) {
+        if (err) return done(err);
+        request().put(`/api/users/${user._id}/role`).set('x-access-token', as.admin).send({role: 'manager'})
+          .expect(200).end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.role, 'manager');
+            done();
+          });
+      });
+    });
+
+    it("won't demote the last admin", function (done) {
+      User.findOne({username: 'test_admin'}, function (err, user) {
+        if (err) return done(err);
+        request().put(`/api/users/${user._id}/role`).set('x-access-token', as.admin).send({role: 'volunteer'})
+          .expect(409, done);
+      });
+    });
+
+    it('400s on an unknown role', function (done) {
+      User.findOne({username: 'test_volunteer'}, function (err, user) {
+        if (err) return done(err);
+        request().put(`/api/users/${user._id}/role`).set('x-access-token', as.admin).send({role: 'boss'})
+          .expect(400, done);
+      });
+    });
+
+    it('404s on a missing user', function (done) {
+      request().put(`/api/users/${helpers.missingId()}/role`).set('x-access-token', as.admin).send({role: 'manager'})
+        .expect(404, done);
+    });
+
+    it('403s without the manage_users permission', function (done) {
+      User.findOne({username: 'test_volunteer'}, function (err, user) {
+        if (err) return done(err);
+        request().put(`/api/users/${user._id}/role`).set('x-access-token', as.volunteer).send({role: 'admin'})
+          .expect(403, done);
+      });
+    });
+  });
+
+  describe('PUT /api/users/:user_id/active', function () {
+    it('deactivates a user and ends their sessions', function (done) {
+      User.findOne({username: 'test_volunteer'}, function (err, user) {
+        if (err) return done(err);
+        request().put(`/api/users/${user._id}/active`).set('x-access-token', as.admin).send({active: false})
+          .expect(200).end(function (err, res) {
+            if (err) return done(err);
+            assert.equal(res.body.active, false);
+            Session.count({username: 'test_volunteer', revoked: false}, function (err, live) {
+              if (err) return done(err);
+              assert.equal(live, 0);
+              request().get('/api/users').set('x-access-token', as.volunteer).expect(401, done);
+            });
+          });
+      });
+    });
+
+    it("won't deactivate the last admin", function (done) {
+      User.findOne({username: 'test_admin'}, function (err, user) {
+        if (err) return done(err);
+        request().put(`/api/users/${user._id}/active`).set('x-access-token', as.admin).send({active: false})
+          .expect(409, done);
+      });
+    });
+
+    it("doesn't count deactivated admins as the one left", function (done) {
+      User.create({username: 'old_admin', role: 'admin', active: false}, function (err) {
+        if (err) return done(err);
+        User.findOne({username: 'test_admin'}, function (err, user) {
+          if (err) return done(err);
+          request().put(`/api/users/${user._id}/role`).set('x-access-token', as.admin).send({role: 'volunteer'})
+            .expect(409, done);
+        });
+      });
+    });
+
+    it('400s when active is not a boolean', function (done) {
+      User.findOne({username: 'test_volunteer'}, function (err, user) {
+        if (err) return done(err);
+        request().put(`/api/users/${user._id}/active`).set('x-access-token', as.admin).send({active: 'no'})
+          .expect(400, done);
+      });
+    });
+
+    it('404s on a missing user', function (done) {
+      request().put(`/api/users/${helpers.missingId()}/active`).set('x-access-token', as.admin).send({active: true})
+        .expect(404, done);
+    });
+  });
+
+  describe('DELETE /api/users/:user_id', function () {
+    it('deletes a user and ends their sessions', function (done) {
+      User.findOne({username: 'test_volunteer'}, function (err, user) {
+        if (err) return done(err);
+        request().delete(`/api/users/${user._id}`).set('x-access-token', as.admin).expect(200).end(function (err) {
+          if (err) return done(err);
+          User.findById(user._id, function (err, found) {
+            if (err) return done(err);
+            assert.equal(found, null);
+            request().get('/api/users').set('x-access-token', as.volunteer).expect(401, done);
+          });
+        });
+      });
+    });
+
+    it("won't delete the last admin, even when they delete themselves", function (done) {
+      User.findOne({username: 'test_admin'}, function (err, user) {
+        if (err) return done(err);
+        request().delete(`/api/users/${user._id}`).set('x-access-token', as.admin).expect(409, done);
+      });
+    });
+
+    it('deletes an admin while another is left', function (done) {
+      User.create({username: 'abc1', role: 'admin'}, function (err, other) {
+        if (err) return done(err);
+        request().delete(`/api/users/${other._id}`).set('x-access-token', as.admin).expect(200, done);
+      });
+    });
+
+    it('404s on a missing user', function (done) {
+      request().delete(`/api/users/${helpers.missingId()}`).set('x-access-token', as.admin).expect(404, done);
+    });
+
+    it('403s without the manage_users permission', function (done) {
+      User.findOne({username: 'test_admin'}, function (err, user) {
+        if (err) return done(err);
+        request().delete(`/api/users/${user._id}`).set('x-access-token', as.volunteer).expect(403, done);
+      });
+    });
+  });
+
+  describe('POST /api/users/authenticate', function () {
+    it('is gone, since logins go through CAS and /api/auth', function (done) {
+      request().post('/api/users/authenticate').set('x-access-token', as.admin)
+        .send({username: 'test_admin', password: 'secret'}).expect(404, done);
+    });
+  });
+});